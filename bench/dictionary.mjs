@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * 字典构建的基准测试：输出各基数的构建耗时、字典大小、节点数与构建后保留的堆内存，最后输出进程的峰值内存。
+ * 用法：npm run bench -- [基数...]，默认测试 6 到 8 位的基数。
+ */
+import { expression_dictionary_t } from '../src/index.mjs'
+
+const bases = process.argv.slice(2)
+if (!bases.length) bases.push('114514', '1919810', '11451419')
+
+/**
+ * 尽可能回收垃圾后返回已用的堆内存。
+ * @returns {number} 已用的堆内存（字节）。
+ */
+function heapUsed() {
+	globalThis.gc?.()
+	return process.memoryUsage().heapUsed
+}
+
+/**
+ * 统计从字典项可达的不同节点数，共享的子树只计一次。
+ * @param {Map<string, import('../src/dict_ast.mjs').ast_node_t>} data 字典数据。
+ * @returns {number} 节点数。
+ */
+function countNodes(data) {
+	const seen = new Set()
+	const visit = (node) => {
+		if (seen.has(node)) return
+		seen.add(node)
+		for (const child of node.children ?? []) visit(child)
+	}
+	for (const node of data.values()) visit(node)
+	return seen.size
+}
+
+if (!globalThis.gc) console.warn('run with --expose-gc for accurate heap numbers')
+const format_mb = (bytes) => `${(bytes / 2 ** 20).toFixed(1)} MB`
+for (const base of bases) {
+	const before = heapUsed()
+	const start = performance.now()
+	let dict = expression_dictionary_t(base)
+	const time = performance.now() - start
+	const heap = heapUsed() - before
+	console.log(`${base.padEnd(10)} build ${`${time.toFixed(0)} ms`.padStart(9)}  entries ${String(dict.data.size).padStart(6)}  nodes ${String(countNodes(dict.data)).padStart(7)}  heap ${format_mb(heap).padStart(9)}`)
+	dict = undefined
+}
+console.log(`peak RSS ${format_mb(process.resourceUsage().maxRSS * 1024)}`)
@@ -1,7 +1,10 @@
 import {
-	expression_dictionary_t
+	createWorkerDictionary,
+	abort_error_t,
+	parseExpression,
+	formatCalculationSteps,
+	formatRational,
 } from 'https://esm.sh/@steve02081504/number-alchemist'
-import { bigfloat } from 'https://esm.sh/@steve02081504/bigfloat'
 
 const baseNumInput = document.getElementById('base-num')
 const baseNumIncrButton = document.getElementById('base-num-incr')
@@ -11,37 +14,107 @@ const targetNumIncrButton = document.getElementById('target-num-incr')
 const targetNumDecrButton = document.getElementById('target-num-decr')
 const proofExpressionDiv = document.getElementById('proof-expression')
 const errorMessageDiv = document.getElementById('error-message')
+const calculationStepsDetails = document.getElementById('calculation-steps')
+const calculationStepsContent = document.getElementById('calculation-steps-content')
+const formatSelect = document.getElementById('format')
+const alternativesDetails = document.getElementById('alternatives')
+const alternativesList = document.getElementById('alternatives-list')
 
-/** @type {expression_dictionary_t} */
+/** @type {import('https://esm.sh/@steve02081504/number-alchemist').worker_dictionary_t} */
 let dictionary
+/** @type {AbortController} 当前证明的取消控制器 */
+let proveController
+/** 当前显示的证明，切换格式时重新渲染 */
+let shownProof
+/** 当前显示的其他证明，切换格式时重新渲染 */
+let shownAlternatives = []
 
 /**
- * 将用户输入的算式解析为 bigfloat（`^` 视为幂运算）。
+ * 将用户输入的算式解析为 bigfloat（`^` 视为幂运算），接受 `0.125` 之类的小数。
  * @param {string} expression
  */
 function parseNumberExpression(expression) {
-	return bigfloat.eval(String(expression).replaceAll('^', '**'))
+	return parseExpression(expression, { decimals: true }).calculate()
+}
+
+/**
+ * 以选定的格式将表达式写入元素，MathML 直接交给浏览器渲染。
+ * @param {HTMLElement} element 目标元素。
+ * @param {string} prefix 表达式前的文字。
+ * @param {import('https://esm.sh/@steve02081504/number-alchemist').ast_node_t} ast 表达式。
+ */
+function renderInto(element, prefix, ast) {
+	const format = formatSelect.value
+	let expression
+	try {
+		expression = ast.toString({ format })
+	}
+	catch (e) {
+		expression = e?.message ?? String(e)
+	}
+	if (format === 'mathml') {
+		element.textContent = prefix
+		element.insertAdjacentHTML('beforeend', expression)
+	}
+	else element.textContent = prefix + expression
+}
+
+/**
+ * 以选定的格式显示证明。
+ * @param {{ input: string, target: string, ast: import('https://esm.sh/@steve02081504/number-alchemist').ast_node_t }} proof 要显示的证明。
+ */
+function showProof(proof) {
+	shownProof = proof
+	const { input, target, ast } = proof
+	let prefix = `${input} = `
+	if (input != target) prefix += `${target} = `
+	renderInto(proofExpressionDiv, prefix, ast)
+}
+
+/**
+ * 以选定的格式显示按代价排列的其他证明。
+ * @param {{ ast: import('https://esm.sh/@steve02081504/number-alchemist').ast_node_t, cost: number }[]} alternatives 要显示的证明。
+ */
+function showAlternatives(alternatives) {
+	shownAlternatives = alternatives
+	alternativesList.replaceChildren(...alternatives.map(({ ast }) => {
+		const item = document.createElement('li')
+		renderInto(item, '', ast)
+		return item
+	}))
+	alternativesDetails.hidden = alternatives.length < 2
 }
 
 async function prove() {
-	const targetNumStr = String(parseNumberExpression(targetNumInput.value))
+	// 取消仍在进行的旧证明
+	proveController?.abort()
+	const controller = proveController = new AbortController()
+	if (!dictionary) return
 
 	proofExpressionDiv.textContent = ''
 	errorMessageDiv.textContent = 'loading...'
+	calculationStepsDetails.hidden = true
+	showAlternatives([])
 
 	try {
-		dictionary.prove(targetNumStr, {
-			onProgress: async (str) => {
-				proofExpressionDiv.textContent = `${targetNumInput.value} = `
-				if (targetNumInput.value != targetNumStr)
-					proofExpressionDiv.textContent += `${targetNumStr} = `
-				proofExpressionDiv.textContent += str
-				await new Promise(resolve => setTimeout(resolve, 0))
-			},
+		const targetNumStr = formatRational(parseNumberExpression(targetNumInput.value))
+		const ast = await dictionary.proveAst(targetNumStr, {
+			signal: controller.signal,
+			onProgress: (node) => showProof({ input: targetNumInput.value, target: targetNumStr, ast: node }),
 		})
+		// 最终结果可能比最后一次进度更短
+		showProof({ input: targetNumInput.value, target: targetNumStr, ast })
 		errorMessageDiv.textContent = ''
+		calculationStepsContent.textContent = formatCalculationSteps(ast.getCalculationSteps().steps)
+		calculationStepsDetails.hidden = !calculationStepsContent.textContent
+		// 再找几个不同的证明，按长度排列
+		const alternatives = []
+		for await (const item of dictionary.proveAll(targetNumStr, { limit: 5, signal: controller.signal }))
+			alternatives.push(item)
+		showAlternatives(alternatives)
 	}
 	catch (e) {
+		if (e instanceof abort_error_t) return
 		errorMessageDiv.textContent = e?.message ?? String(e)
 	}
 }
@@ -49,15 +122,36 @@ async function prove() {
 async function reinitDictionary() {
 	const baseNumStr = baseNumInput.value
 	errorMessageDiv.textContent = 'loading...'
-	await new Promise(resolve => setTimeout(resolve, 0))
-	dictionary = expression_dictionary_t(baseNumStr)
+	// 在工作线程中构建字典与证明，避免页面卡顿
+	proveController?.abort()
+	dictionary?.terminate()
+	dictionary = undefined
+	let newDictionary
+	try {
+		newDictionary = await createWorkerDictionary(baseNumStr, {
+			workerUrl: 'https://esm.sh/@steve02081504/number-alchemist/worker',
+			onBuildProgress: ({ done, total }) => {
+				if (baseNumInput.value === baseNumStr) errorMessageDiv.textContent = `loading... ${done}/${total}`
+			},
+		})
+	}
+	catch (e) {
+		errorMessageDiv.textContent = e?.message ?? String(e)
+		return
+	}
+	// 构建期间基数已被再次修改
+	if (baseNumInput.value !== baseNumStr) return newDictionary.terminate()
+	dictionary = newDictionary
 	errorMessageDiv.textContent = ''
-	await new Promise(resolve => setTimeout(resolve, 0))
 
 	await prove()
 }
 
 baseNumInput.addEventListener('input', reinitDictionary)
+formatSelect.addEventListener('change', () => {
+	if (shownProof) showProof(shownProof)
+	showAlternatives(shownAlternatives)
+})
 targetNumInput.addEventListener('input', prove)
 
 reinitDictionary()
@@ -65,7 +159,7 @@ reinitDictionary()
 function setupButton(button, input, increment) {
 	const changeValue = async () => {
 		const currentValue = parseNumberExpression(input.value)
-		input.value = String(currentValue.add(increment))
+		input.value = formatRational(currentValue.add(increment))
 		if (input == targetNumInput) await prove()
 		else if (input == baseNumInput) await reinitDictionary()
 	}
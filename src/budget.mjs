@@ -0,0 +1,61 @@
+import { abort_error_t } from './errors.mjs'
+
+/**
+ * 搜索预算，记录已访问的节点数并在取消或超限时中止搜索。
+ * @class
+ */
+export class search_budget_t {
+	/**
+	 * 已访问的节点数。
+	 * @type {number}
+	 */
+	nodes = 0
+
+	/**
+	 * 构造函数。
+	 * @param {object} [options] 选项。
+	 * @param {AbortSignal} [options.signal] 取消信号。
+	 * @param {number} [options.timeout=Infinity] 时间上限（毫秒）。
+	 * @param {number} [options.maxNodes=Infinity] 节点数上限。
+	 */
+	constructor({ signal, timeout = Infinity, maxNodes = Infinity } = {}) {
+		this.signal = signal
+		this.timeout = timeout
+		this.maxNodes = maxNodes
+		this.deadline = Date.now() + timeout
+	}
+
+	/**
+	 * 访问一个节点，预算耗尽时抛出 abort_error_t。
+	 * @returns {Promise<void>}
+	 * @throws {abort_error_t} 如果搜索被取消或超出预算。
+	 */
+	async check() {
+		this.nodes++
+		if (this.nodes % 256 === 0) await this.pause()
+		else this.throwIfExhausted()
+	}
+
+	/**
+	 * 在耗时的计算中途检查预算，不计入节点数。
+	 * 有取消信号时让出事件循环，使取消请求得以送达。
+	 * @returns {Promise<void>}
+	 * @throws {abort_error_t} 如果搜索被取消或超出预算。
+	 */
+	async pause() {
+		this.throwIfExhausted()
+		if (!this.signal) return
+		await new Promise(resolve => setTimeout(resolve, 0))
+		this.throwIfExhausted()
+	}
+
+	/**
+	 * 检查预算，不计入节点数。
+	 * @throws {abort_error_t} 如果搜索被取消或超出预算。
+	 */
+	throwIfExhausted() {
+		if (this.signal?.aborted) throw new abort_error_t('搜索已取消', 'abort')
+		if (this.nodes > this.maxNodes) throw new abort_error_t(`搜索节点数超过 ${this.maxNodes}`, 'max_nodes')
+		if (Date.now() > this.deadline) throw new abort_error_t(`搜索超过 ${this.timeout} 毫秒`, 'timeout')
+	}
+}
@@ -1,44 +1,657 @@
 #!/usr/bin/env node
-import { expression_dictionary_t, bigfloat } from './index.mjs'
+import fs from 'node:fs'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import {
+	expression_dictionary_t,
+	abort_error_t,
+	parse_error_t,
+	parseExpression,
+	verify,
+	formatCalculationSteps,
+	render_formats,
+	default_operators,
+	digit_mode_t,
+	number_node_t,
+	formatRational,
+	formatDigits,
+	convertRadix,
+	strategy_registry,
+	parseSources,
+	parseBases,
+} from './index.mjs'
+import { hashString } from './random.mjs'
 
-const args = process.argv.slice(2)
+/**
+ * 退出码。
+ * @enum {number}
+ */
+const exit_code_t = {
+	/** 成功 */
+	ok: 0,
+	/** 无法证明目标，或验证的证明不成立 */
+	failure: 1,
+	/** 参数有误 */
+	usage: 2,
+	/** 超时或节点预算耗尽时尚未找到任何表达式 */
+	exhausted: 3,
+	/** 被 Ctrl+C 中断时尚未找到任何表达式 */
+	interrupted: 130,
+}
+
+const usage = `\
+Usage: number-alchemist [prove] <base> <target> [--closest] [options]
+       number-alchemist batch <base> [targets...] [--input <file>] [--output <file>] [--csv] [options]
+       number-alchemist verify <base> <expression> [--mode <mode>] [--radix <n>] [--target <n>] [--json]
+       number-alchemist dict stats <base> [--mode <mode>] [--cache <dir>] [--max-entries <n>] [--json]
+       number-alchemist dict export <base> [--mode <mode>] [--cache <dir>] [--max-entries <n>] [--output <file>]
+
+Commands:
+  prove           Prove one target (the default command).
+  batch           Prove several targets sharing one dictionary, easy targets first.
+                  Targets are read one per line from --input, or from stdin when none are given.
+  verify          Check a proof: its exact value and that every literal is a legal digit group of the base.
+                  The expression may be written as "target = expr".
+  dict stats      Print statistics about the dictionary of a base.
+  dict export     Print the dictionary snapshot as JSON.
+
+Arguments:
+  base            The cardinal number whose digits are used to build expressions.
+                  Join several bases with "+", like "114514+1919810", to combine their digits in one dictionary.
+                  In numbers mode, a comma-separated list of source numbers instead, like "25,50,75,100,3,6".
+  target          The target number to prove (supports arithmetic like "1000-7").
+                  With --radix, the base, the target and the expression are all written in that radix.
+
+Options:
+  --mode          Digit usage mode: reuse (default), ordered, unordered or numbers
+                  (numbers game: each source number used at most once, in any order).
+  --radix         Radix of the base, the targets and the printed values: an integer from 2 to 36 (default: 10).
+                  A prefix matching the radix (0b, 0o or 0x) is stripped from the base.
+  --decimal       Print values and expressions converted to decimal, for display only.
+  --closest       When the target cannot be proved, print the closest reachable value instead (prove).
+  --depth         Maximum search depth (default: Infinity).
+  --seed          Seed for the random choices, the same seed gives the same expression.
+  --deterministic Do not use randomness at all.
+  --timeout       Stop searching after this many milliseconds and print the best expression so far.
+  --max-nodes     Stop searching after visiting this many nodes and print the best expression so far.
+  --simplify      Simplify the proof (x*1, x+0, constant folding, operand order) without breaking the digit rules.
+  --strategies    Comma-separated proof strategies to run, in order (see "Proof strategies" in the README).
+  --cache         Directory for dictionary snapshots, reused and updated across runs.
+  --max-entries   Keep at most this many of the shortest expressions per substring of the base while building
+                  the dictionary (default: unlimited up to 8 digits, 200 for longer bases).
+  --steps         Also print the step-by-step calculation of the expression.
+  --format        Print the expression as text (default), latex, mathml, js, python or wolfram.
+                  The python output expects "import math" and "from fractions import Fraction".
+  --json          Print the result as JSON, one object per line (JSONL) for batch.
+  --csv           Print the batch results as CSV.
+  --input         Read batch targets from this file, one per line.
+  --target        The value the expression should have (verify).
+  --output        Write the batch results or the snapshot (dict export) to this file instead of stdout.
+  --no-progress   Do not print dictionary building and search progress.
+  -q, --quiet     Print nothing but the result to stdout.
+  -h, --help      Show this help.
 
-if (args.length < 2 || args[0] === '--help' || args[0] === '-h') {
-	console.log(`\
-Usage: number-alchemist <base> <target> [--depth <n>]
+The result goes to stdout; progress and messages go to stderr.
+Press Ctrl+C to stop a running search and keep the best expression found so far.
 
-  base    The cardinal number whose digits are used to build expressions.
-  target  The target number to prove (supports arithmetic like "1000-7").
-  --depth Maximum search depth (default: Infinity).
+Exit codes:
+  0               Success.
+  1               A target could not be proved, or the verified proof is invalid.
+  2               Invalid arguments.
+  3               The timeout or node budget ran out before any expression was found.
+  130             Interrupted before any expression was found.
 
 Examples:
   number-alchemist 114514 1000
-  number-alchemist 114514 1919810 --depth 10
-`)
-	process.exit(args.length < 2 ? 1 : 0)
+  number-alchemist prove 114514 1919810 --seed 42 --json
+  seq 1 100 | number-alchemist batch 114514 --quiet
+  number-alchemist batch 114514 --input targets.txt --csv --output proofs.csv
+  number-alchemist verify 114514 "1000 = (((11-4)*5)+1+4)*(11+4+5+1+4)"
+  number-alchemist dict stats 114514
+  number-alchemist 114514+1919810 2026 --format latex
+  number-alchemist 25,50,75,100,3,6 952 --mode numbers --closest
+  number-alchemist 0xBEEF 3E8 --radix 16
+`
+
+/**
+ * 各子命令接受的选项。
+ * @type {Record<string, import('node:util').ParseArgsConfig['options']>}
+ */
+const option_groups = {
+	common: {
+		help: { type: 'boolean', short: 'h' },
+		quiet: { type: 'boolean', short: 'q' },
+		json: { type: 'boolean' },
+		mode: { type: 'string' },
+		radix: { type: 'string' },
+		decimal: { type: 'boolean' },
+	},
+	dictionary: {
+		cache: { type: 'string' },
+		'max-entries': { type: 'string' },
+		'no-progress': { type: 'boolean' },
+	},
+	search: {
+		depth: { type: 'string' },
+		seed: { type: 'string' },
+		deterministic: { type: 'boolean' },
+		timeout: { type: 'string' },
+		'max-nodes': { type: 'string' },
+		simplify: { type: 'boolean' },
+		strategies: { type: 'string' },
+		steps: { type: 'boolean' },
+		format: { type: 'string' },
+	},
+	prove: {
+		closest: { type: 'boolean' },
+	},
+	batch: {
+		input: { type: 'string' },
+		output: { type: 'string' },
+		csv: { type: 'boolean' },
+	},
+	verify: {
+		target: { type: 'string' },
+	},
+	export: {
+		output: { type: 'string' },
+	},
+}
+const command_options = {
+	prove: ['common', 'dictionary', 'search', 'prove'],
+	batch: ['common', 'dictionary', 'search', 'batch'],
+	verify: ['common', 'verify'],
+	'dict stats': ['common', 'dictionary'],
+	'dict export': ['common', 'dictionary', 'export'],
 }
 
-const baseStr = args[0]
-const targetStr = args[1]
-let max_depth = Infinity
+/**
+ * 输出错误信息并以给定的退出码退出。
+ * @param {string} message 错误信息。
+ * @param {exit_code_t} [code=exit_code_t.usage] 退出码。
+ * @returns {never}
+ */
+function fail(message, code = exit_code_t.usage) {
+	process.stderr.write(`${message}\n`)
+	if (code === exit_code_t.usage) process.stderr.write('Run "number-alchemist --help" for usage.\n')
+	process.exit(code)
+}
 
-const depthIdx = args.indexOf('--depth')
-if (depthIdx !== -1 && args[depthIdx + 1])
-	max_depth = Number(args[depthIdx + 1])
+/**
+ * 解析命令行参数，识别子命令。
+ * @param {string[]} argv 命令行参数。
+ * @returns {{ command: string, positionals: string[], values: Record<string, any> }} 子命令、位置参数与选项。
+ */
+function parseCommandLine(argv) {
+	let command = 'prove'
+	if (['prove', 'batch', 'verify'].includes(argv[0])) command = argv.shift()
+	else if (argv[0] === 'dict') {
+		argv.shift()
+		if (['stats', 'export'].includes(argv[0])) command = `dict ${argv.shift()}`
+		else if (['-h', '--help'].includes(argv[0])) command = 'dict stats'
+		else fail(`Unknown dict command: ${argv[0] ?? '(none)'}`)
+	}
+	const options = Object.assign({}, ...command_options[command].map(group => option_groups[group]))
+	// 负数（如 -3）会被当作短选项，先加上前缀转义，解析后再去掉
+	const escape = '\0'
+	const unescape = (value) => Object(value) instanceof String && value.startsWith(escape) ? value.slice(escape.length) : value
+	try {
+		const { values, positionals } = parseArgs({
+			args: argv.map(arg => /^-[\d(]/.test(arg) ? escape + arg : arg),
+			options,
+			allowPositionals: true,
+		})
+		for (const name in values) values[name] = unescape(values[name])
+		return { command, positionals: positionals.map(unescape), values }
+	}
+	catch (e) {
+		fail(e.message)
+	}
+}
 
-const target = bigfloat.eval(targetStr.replaceAll('^', '**'))
+/**
+ * 将选项值解析为正数。
+ * @param {Record<string, any>} values 选项。
+ * @param {string} name 选项名。
+ * @returns {number | undefined} 选项值，未给出时为 undefined。
+ */
+function numberOption(values, name) {
+	if (values[name] === undefined) return
+	const value = Number(values[name])
+	if (!(value > 0)) fail(`--${name} must be a positive number, got ${values[name]}`)
+	return value
+}
 
-process.stderr.write(`base=${baseStr}  target=${target}\nbuilding dictionary...`)
-const dict = expression_dictionary_t(baseStr)
-process.stderr.write(` done (${dict.data.size} entries)\n`)
+/**
+ * 解析目标数字，接受 `0.125` 之类的小数，按 `--radix` 给出的进制解读。
+ * 无法求值（如无理数、负数的阶乘）或值为无穷大的算式视为用法错误。
+ * @param {string} str 目标数字或算式。
+ * @returns {import('@steve02081504/bigfloat').bigfloat} 目标值。
+ */
+function parseTarget(str) {
+	let value
+	try {
+		value = parseExpression(str, { decimals: true, radix }).calculate()
+	}
+	catch (e) {
+		if (e instanceof parse_error_t) fail(e.message)
+		if (e instanceof RangeError) fail(`The target ${str} cannot be evaluated: ${e.message}`)
+		throw e
+	}
+	if (value.isInf()) fail(`The target ${str} is not a finite number`)
+	return value
+}
 
-const result = await dict.prove(target, {
-	max_depth,
-	onProgress: (node) => {
-		process.stderr.write(`\r${target} = ${node}                    `)
-	},
-})
-const evaluated = eval(result.replaceAll('^', '**'))
-if (!target.equals(evaluated))
-	throw new Error(`internal verification failed: ${result} != ${target}`)
-process.stderr.write(`\n`)
+/**
+ * 解析基数，以 `+` 连接的多个基数解析为数组，numbers 模式下解析为逗号分隔的来源数字。
+ * @param {string} str 命令行给出的基数。
+ * @returns {string | string[]} 基数字符串，或多个基数的数组。
+ */
+function parseBase(str) {
+	if (mode !== digit_mode_t.numbers) {
+		let bases
+		try {
+			bases = parseBases(str.split('+'), radix)
+		}
+		catch {
+			fail(`The base must be written in radix ${radix}, got ${str}`)
+		}
+		if (!bases.length) fail('A base number is required')
+		if (bases.length === 1) return bases[0]
+		if (mode !== digit_mode_t.reuse) fail(`Several bases can only be combined in reuse mode, not ${mode} mode`)
+		return bases
+	}
+	try {
+		return parseSources(str, radix).join(',')
+	}
+	catch {
+		fail(`Source numbers must be non-negative integers in radix ${radix} separated by commas, got ${str}`)
+	}
+}
+
+/**
+ * 计算 AST 的深度，数字字面量深度为 0。字典项之间共享子树，故按节点缓存。
+ * @param {import('./dict_ast.mjs').ast_node_t} node AST 节点。
+ * @param {WeakMap<object, number>} [memo] 缓存。
+ * @returns {number} 深度。
+ */
+function getDepth(node, memo = new WeakMap()) {
+	if (node instanceof number_node_t) return 0
+	if (!memo.has(node)) memo.set(node, 1 + Math.max(...node.children.map(child => getDepth(child, memo))))
+	return memo.get(node)
+}
+
+const argv = process.argv.slice(2)
+if (!argv.length) {
+	process.stderr.write(usage)
+	process.exit(exit_code_t.usage)
+}
+const { command, positionals, values } = parseCommandLine(argv)
+if (values.help) {
+	process.stdout.write(usage)
+	process.exit(exit_code_t.ok)
+}
+
+const mode = values.mode ?? digit_mode_t.reuse
+if (!Object.values(digit_mode_t).includes(mode)) fail(`Unknown mode: ${mode}`)
+const radix = values.radix === undefined ? 10 : Number(values.radix)
+if (!Number.isInteger(radix) || radix < 2 || radix > 36) fail(`Radix must be an integer from 2 to 36, got ${values.radix}`)
+// --decimal 时数值与表达式都换算为十进制输出
+const output_radix = values.decimal ? 10 : radix
+/**
+ * 以输出的进制书写数值。
+ * @param {import('@steve02081504/bigfloat').bigfloat} value 数值。
+ * @returns {string} 规范字符串。
+ */
+const formatValue = (value) => formatRational(value, output_radix)
+const format = values.format ?? 'text'
+if (!render_formats[format] && format !== 'text') fail(`Unknown format: ${format}`)
+const strategies = values.strategies?.split(',').map(name => name.trim()).filter(Boolean)
+for (const name of strategies ?? [])
+	if (!strategy_registry.has(name)) fail(`Unknown strategy: ${name}. Available: ${[...strategy_registry.keys()].join(', ')}`)
+
+/**
+ * 向 stderr 输出消息，`--quiet` 时不输出。
+ * @param {string} message 消息。
+ */
+function log(message) {
+	if (!values.quiet) process.stderr.write(message)
+}
+
+if (command === 'verify') {
+	if (positionals.length !== 2) fail('verify needs a base and an expression')
+	const [baseStr, expression] = positionals
+	const target = values.target === undefined ? undefined : parseTarget(values.target)
+	const report = verify(parseBase(baseStr), expression, { mode, target, radix })
+	if (values.json)
+		console.log(JSON.stringify({ ...report, ast: report.ast?.toJSON(), value: report.value && formatValue(report.value), target: report.target && formatValue(report.target) }, null, '\t'))
+	else if (report.valid)
+		console.log(`valid: ${formatValue(report.target ?? report.value)} = ${values.decimal ? report.ast.toString({ decimal: true }) : report.expression}`)
+	else {
+		console.log(`invalid: ${report.expression}`)
+		for (const violation of report.violations)
+			console.log(`  [${violation.type}] ${violation.message}`)
+	}
+	process.exit(report.valid ? exit_code_t.ok : exit_code_t.failure)
+}
+
+const [baseStr, ...targetStrs] = positionals
+if (!baseStr) fail('A base number is required')
+const base = parseBase(baseStr)
+if (command === 'prove' && targetStrs.length !== 1) fail('prove needs exactly one target')
+if (command.startsWith('dict ') && targetStrs.length) fail(`Unexpected argument: ${targetStrs[0]}`)
+
+const dictOptions = {
+	base,
+	mode,
+	radix,
+	operators: default_operators,
+	max_entries: numberOption(values, 'max-entries'),
+}
+// 快照按基数、数字使用模式、运算符集合、项数上限与进制区分
+const cacheDir = values.cache
+const cacheFile = cacheDir && path.join(cacheDir,
+	`${dictOptions.base}-${dictOptions.mode}-${hashString([...dictOptions.operators].sort().join(' ')).toString(16)}${dictOptions.max_entries ? `-${dictOptions.max_entries}` : ''}${radix === 10 ? '' : `-r${radix}`}.json`
+)
+
+let dict
+if (cacheFile && fs.existsSync(cacheFile)) try {
+	log('loading dictionary...')
+	dict = expression_dictionary_t.load(fs.readFileSync(cacheFile, 'utf8'), dictOptions)
+	log(` done (${dict.data.size} entries)\n`)
+}
+catch (e) {
+	log(` ignored: ${e.message}\n`)
+}
+if (!dict) {
+	const building = 'building dictionary...'
+	log(building)
+	dict = expression_dictionary_t(dictOptions.base, {
+		...dictOptions,
+		onBuildProgress: values['no-progress'] ? undefined : ({ done, total }) => log(`\r${building} ${done}/${total}`),
+	})
+	log(`\r${building} done (${dict.data.size} entries)\n`)
+}
+
+/**
+ * 保存字典快照，先写入临时文件再重命名，避免留下写了一半的快照。
+ */
+function saveCache() {
+	if (!cacheFile) return
+	fs.mkdirSync(cacheDir, { recursive: true })
+	const tempFile = `${cacheFile}.${process.pid}.tmp`
+	fs.writeFileSync(tempFile, JSON.stringify(dict.save()))
+	fs.renameSync(tempFile, cacheFile)
+}
+
+if (command === 'dict export') {
+	const snapshot = JSON.stringify(dict.save())
+	if (values.output) fs.writeFileSync(values.output, snapshot)
+	else console.log(snapshot)
+	process.exit(exit_code_t.ok)
+}
+
+if (command === 'dict stats') {
+	const keys = dict.getKeys().filter(key => !key.isInf())
+	// 字典中可能同时有 0 与 -0，按 BigInt 去重
+	const integers = [...new Set(keys.filter(key => key.floor().equals(key)).map(key => BigInt(String(key))))].sort((a, b) => a < b ? -1 : a > b)
+	const integer_set = new Set(integers)
+	// 从 0 出发向两侧连续覆盖的整数范围
+	let min = 0n, max = 0n
+	if (integer_set.has(0n)) {
+		while (integer_set.has(max + 1n)) max++
+		while (integer_set.has(min - 1n)) min--
+	}
+	const memo = new WeakMap()
+	const depths = [...dict.data.values()].map(node => getDepth(node, memo))
+	const stats = {
+		base: dict.base,
+		mode: dict.mode,
+		radix: dict.radix,
+		operators: [...dict.operators],
+		entries: dict.data.size,
+		integers: integers.length,
+		fractions: keys.filter(key => !key.floor().equals(key)).length,
+		min: integers.length ? formatDigits(integers[0], output_radix) : undefined,
+		max: integers.length ? formatDigits(integers.at(-1), output_radix) : undefined,
+		contiguous: integer_set.has(0n) ? [formatDigits(min, output_radix), formatDigits(max, output_radix)] : null,
+		max_depth: Math.max(0, ...depths),
+	}
+	if (values.json) console.log(JSON.stringify(stats, null, '\t'))
+	else console.log(`\
+base:       ${stats.base}
+mode:       ${stats.mode}
+radix:      ${stats.radix}
+operators:  ${stats.operators.join(' ')}
+entries:    ${stats.entries} (${stats.integers} integers, ${stats.fractions} fractions)
+range:      ${stats.min} .. ${stats.max}
+contiguous: ${stats.contiguous ? stats.contiguous.join(' .. ') : 'none'}
+max depth:  ${stats.max_depth}`)
+	process.exit(exit_code_t.ok)
+}
+
+// prove 与 batch
+const searchOptions = {
+	max_depth: numberOption(values, 'depth') ?? Infinity,
+	seed: values.seed,
+	deterministic: values.deterministic,
+	timeout: numberOption(values, 'timeout'),
+	maxNodes: numberOption(values, 'max-nodes'),
+	simplify: values.simplify,
+	strategies,
+}
+const show_progress = !values.quiet && !values['no-progress']
+
+const controller = new AbortController()
+process.once('SIGINT', () => controller.abort())
+
+let progress_length = 0
+/**
+ * 在 stderr 的同一行上显示进度。
+ * @param {string} line 进度。
+ */
+function showProgress(line) {
+	if (!show_progress) return
+	process.stderr.write(`\r${line.padEnd(progress_length)}`)
+	progress_length = line.length
+}
+/**
+ * 清除进度行，以免与 stdout 的输出混在一起。
+ */
+function clearProgress() {
+	if (progress_length) process.stderr.write(`\r${' '.repeat(progress_length)}\r`)
+	progress_length = 0
+}
+
+/**
+ * 独立验证证明，防止输出错误的结果。
+ * @param {import('@steve02081504/bigfloat').bigfloat} target 目标值。
+ * @param {import('./dict_ast.mjs').ast_node_t} ast 证明目标的 AST。
+ * @throws {Error} 如果证明不成立。
+ */
+function checkProof(target, ast) {
+	const report = verify(dict.mode === digit_mode_t.numbers ? dict.base : dict.bases, String(ast), { mode: dict.mode, target, operators: dict.operators, radix: dict.radix })
+	if (!report.valid)
+		throw new Error(`internal verification failed: ${ast} != ${formatValue(target)}\n${report.violations.map(violation => violation.message).join('\n')}`)
+}
+
+/**
+ * 证明一个目标并校验结果。
+ * @param {import('@steve02081504/bigfloat').bigfloat} target 目标值。
+ * @returns {Promise<import('./dict_ast.mjs').ast_node_t>} 证明目标的 AST，中断或预算耗尽时为目前最好的结果。
+ * @throws {Error} 如果无法证明目标。
+ * @throws {abort_error_t} 如果搜索被中断或预算耗尽时尚未找到任何表达式。
+ */
+async function proveTarget(target) {
+	let best
+	let ast
+	try {
+		ast = await dict.proveAst(target, {
+			...searchOptions,
+			signal: controller.signal,
+			onProgress: (node) => {
+				best = node
+				showProgress(`${formatValue(target)} = ${node.toString({ decimal: values.decimal })}`)
+			},
+		})
+	}
+	catch (e) {
+		if (!(e instanceof abort_error_t)) throw e
+		// 被中断时保留目前找到的最好结果
+		if (!best) throw e
+		ast = best
+	}
+	finally {
+		clearProgress()
+	}
+	checkProof(target, ast)
+	return ast
+}
+
+/**
+ * 将搜索中的错误转换为退出码。
+ * @param {unknown} error 错误。
+ * @returns {exit_code_t} 退出码。
+ */
+function exitCodeOf(error) {
+	if (!(error instanceof Error)) throw error
+	if (!(error instanceof abort_error_t)) return exit_code_t.failure
+	return error.reason === 'abort' ? exit_code_t.interrupted : exit_code_t.exhausted
+}
+
+/**
+ * 批量证明中单个目标的输出内容。
+ * @param {string} targetStr 命令行给出的目标。
+ * @param {import('@steve02081504/bigfloat').bigfloat} target 目标值。
+ * @param {{ ast?: import('./dict_ast.mjs').ast_node_t, error?: Error, time?: number, index?: number }} result 证明结果。
+ * @returns {Record<string, any>} 输出的字段。
+ */
+function describeResult(targetStr, target, { ast, error, time, index }) {
+	if (error) return { index, target: targetStr, error: error.message, time }
+	const shown = values.decimal ? convertRadix(ast, 10) : ast
+	const steps = values.steps ? shown.getCalculationSteps().steps : undefined
+	return {
+		index,
+		target: targetStr,
+		value: formatValue(ast.calculate()),
+		expression: format === 'text' ? String(shown) : shown.toString({ format, sources: true }),
+		depth: getDepth(ast),
+		time,
+		ast: ast.toJSON(),
+		steps: steps?.map(({ expression, operator, operands, operand_steps, value }) => ({
+			expression, operator, operands: operands.map(formatValue), operand_steps, value: formatValue(value),
+		})),
+		text: format === 'text' ? `${formatValue(target)} = ${shown}` : undefined,
+		step_text: steps && formatCalculationSteps(steps, output_radix),
+	}
+}
+
+const csv_columns = ['index', 'target', 'value', 'expression', 'depth', 'time', 'error']
+/**
+ * 将字段转为 CSV 单元格，含逗号、引号或换行时加引号。
+ * @param {any} value 字段值。
+ * @returns {string} CSV 单元格。
+ */
+function csvCell(value) {
+	const str = value === undefined ? '' : String(value)
+	return /[",\r\n]/.test(str) ? `"${str.replaceAll('"', '""')}"` : str
+}
+
+/**
+ * 将单个目标的输出内容格式化为一行（或多行）文本。
+ * @param {Record<string, any>} result describeResult 的输出。
+ * @returns {string} 输出文本。
+ */
+function formatResult({ text, step_text, ...result }) {
+	if (values.csv) return csv_columns.map(column => csvCell(
+		column === 'time' && result.time !== undefined ? result.time.toFixed(1) : result[column]
+	)).join(',')
+	if (values.json) return JSON.stringify(result)
+	let output = text ?? result.expression
+	if (step_text) output += `\n${step_text}`
+	return output
+}
+
+if (command === 'prove') {
+	const [targetStr] = targetStrs
+	const target = parseTarget(targetStr)
+	log(`base=${dict.base}  target=${formatValue(target)}\n`)
+	let exit_code = exit_code_t.ok
+	try {
+		const ast = await proveTarget(target)
+		console.log(formatResult(describeResult(targetStr, target, { ast })))
+	}
+	catch (e) {
+		exit_code = exitCodeOf(e)
+		process.stderr.write(`${targetStr}: ${e.message}\n`)
+		// 无法证明时给出最接近的可达值
+		if (values.closest && exit_code === exit_code_t.failure) try {
+			const { ast, value, distance } = await dict.proveClosest(target, { ...searchOptions, signal: controller.signal })
+			checkProof(value, ast)
+			log(`closest reachable value: ${formatValue(value)} (off by ${formatValue(distance)})\n`)
+			console.log(formatResult({ ...describeResult(targetStr, value, { ast }), distance: formatValue(distance) }))
+			exit_code = exit_code_t.ok
+		}
+		catch (e) {
+			exit_code = exitCodeOf(e)
+			process.stderr.write(`${targetStr}: ${e.message}\n`)
+		}
+	}
+	saveCache()
+	process.exit(exit_code)
+}
+
+// batch：目标来自参数、--input 文件或标准输入，每行一个
+let targets = targetStrs
+if (values.input) targets = targets.concat(fs.readFileSync(values.input, 'utf8').split(/\r?\n/))
+else if (!targets.length) targets = fs.readFileSync(0, 'utf8').split(/\r?\n/)
+targets = targets.map(line => line.trim()).filter(Boolean)
+// 先解析全部目标，避免证明到一半才发现参数有误
+const parsed_targets = targets.map(parseTarget)
+
+const output_fd = values.output ? fs.openSync(values.output, 'w') : process.stdout.fd
+/**
+ * 输出一行结果。
+ * @param {string} line 结果。
+ */
+function writeLine(line) {
+	fs.writeSync(output_fd, `${line}\n`)
+}
+if (values.csv) writeLine(csv_columns.join(','))
+
+let exit_code = exit_code_t.ok
+let done = 0
+try {
+	for await (const result of dict.proveMany(parsed_targets, {
+		...searchOptions,
+		signal: controller.signal,
+		onProgress: show_progress ? (node) => showProgress(`[${done + 1}/${targets.length}] ${formatValue(node.calculate())} = ${node.toString({ decimal: values.decimal })}`) : undefined,
+	})) {
+		done++
+		clearProgress()
+		const targetStr = targets[result.index]
+		if (result.ast) try {
+			checkProof(result.target, result.ast)
+		}
+		catch (e) {
+			delete result.ast
+			result.error = e
+		}
+		if (result.error) {
+			exit_code = Math.max(exit_code, exitCodeOf(result.error))
+			// 文本格式的结果中不含失败的目标，错误信息输出到 stderr
+			if (!values.json && !values.csv) process.stderr.write(`${targetStr}: ${result.error.message}\n`)
+			else writeLine(formatResult(describeResult(targetStr, result.target, result)))
+		}
+		else writeLine(formatResult(describeResult(targetStr, result.target, result)))
+	}
+}
+catch (e) {
+	clearProgress()
+	exit_code = exitCodeOf(e)
+	process.stderr.write(`${e.message}\n`)
+}
+if (values.output) fs.closeSync(output_fd)
+log(`${done}/${targets.length} targets done\n`)
+saveCache()
+process.exit(exit_code)
@@ -0,0 +1,251 @@
+import { number_node_t } from './dict_ast.mjs'
+import { digit_mode_t } from './digits.mjs'
+import { constraint_error_t, rethrowAbort } from './errors.mjs'
+import { operator_registry } from './operators.mjs'
+import { getCost } from './optimize.mjs'
+import { formatRational, isInteger, parseRational } from './rational.mjs'
+
+/**
+ * 证明的结构约束，各项均可省略。
+ * @typedef {object} constraints_t
+ * @property {number} [max_nesting] AST 的最大嵌套深度，数字字面量为 0，每层运算符（含一元负号）加 1。
+ * @property {number} [copies] 恰好消耗的基数份数，计法同 cost_models.copies。
+ * @property {number} [max_copies] 至多消耗的基数份数。
+ * @property {Iterable<string>} [required_operators] 证明中必须出现的运算符，一元负号为 `u-`。
+ * @property {boolean} [non_negative=false] 是否禁止负的中间值。
+ * @property {boolean} [integer_only=false] 是否禁止非整数的中间值。
+ * @property {import('@steve02081504/bigfloat').bigfloat | number | string} [max_magnitude] 中间值绝对值的上限，字符串按字典的进制解读。
+ */
+
+/**
+ * 支持的约束名称。
+ * @type {string[]}
+ */
+const constraint_names = ['max_nesting', 'copies', 'max_copies', 'required_operators', 'non_negative', 'integer_only', 'max_magnitude']
+
+/**
+ * 比较基数份数时容许的浮点误差。
+ */
+const epsilon = 1e-9
+
+/**
+ * 收集 AST 中出现的运算符，共享的子树只访问一次。
+ * @param {import('./dict_ast.mjs').ast_node_t} node AST 节点。
+ * @param {Set<string>} [operators] 收集结果。
+ * @param {Set<object>} [visited] 已访问的节点。
+ * @returns {Set<string>} 出现的运算符。
+ */
+function collectOperators(node, operators = new Set(), visited = new Set()) {
+	if (node instanceof number_node_t || visited.has(node)) return operators
+	visited.add(node)
+	operators.add(node.operator)
+	for (const child of node.children) collectOperators(child, operators, visited)
+	return operators
+}
+
+/**
+ * 搜索中使用的约束检查器：在每一层拒绝不满足约束的候选，并记录各约束排除的候选数。
+ * 嵌套深度、基数份数与中间值的约束对子表达式同样成立，用于在搜索中剪枝；
+ * 恰好的基数份数与必须出现的运算符只能对完整的证明判断，只在最外层检查。
+ * @class
+ */
+export class proof_constraints_t {
+	/**
+	 * 构造函数。
+	 * @param {constraints_t} constraints 约束。
+	 * @param {import('./dict.mjs').expression_dictionary_t} dict 所证明的字典。
+	 * @throws {Error} 如果约束有误。
+	 * @throws {constraint_error_t} 如果必须出现的运算符不在字典允许使用的运算符中。
+	 */
+	constructor(constraints, dict) {
+		for (const name in constraints)
+			if (!constraint_names.includes(name)) throw new Error(`未知的约束：${name}`)
+		const {
+			max_nesting = Infinity,
+			copies,
+			max_copies = Infinity,
+			required_operators = [],
+			non_negative = false,
+			integer_only = false,
+			max_magnitude,
+		} = constraints
+		if (!(max_nesting >= 0) || max_nesting !== Infinity && !Number.isInteger(max_nesting))
+			throw new Error(`max_nesting 须为非负整数：${max_nesting}`)
+		for (const [name, value] of [['copies', copies], ['max_copies', max_copies]])
+			if (value !== undefined && !(value > 0)) throw new Error(`${name} 须为正数：${value}`)
+		if ((copies !== undefined || max_copies !== Infinity) && dict.mode === digit_mode_t.numbers)
+			throw new Error('numbers 模式下不支持 copies 与 max_copies 约束')
+		/**
+		 * 最大嵌套深度，进入下一层子目标时减 1。
+		 * @type {number}
+		 */
+		this.max_nesting = max_nesting
+		/**
+		 * 恰好消耗的基数份数。
+		 * @type {number | undefined}
+		 */
+		this.copies = copies
+		/**
+		 * 至多消耗的基数份数。
+		 * @type {number}
+		 */
+		this.max_copies = max_copies
+		/**
+		 * 必须出现的运算符。
+		 * @type {string[]}
+		 */
+		this.required_operators = [...new Set(required_operators)]
+		for (const operator of this.required_operators) {
+			if (!operator_registry.has(operator)) throw new Error(`未知的运算符：${operator}`)
+			if (!dict.operators.has(operator === 'u-' ? '-' : operator))
+				throw new constraint_error_t(`运算符 ${operator} 不在允许使用的运算符中，无法满足 required_operators 约束`, 'required_operators')
+		}
+		/**
+		 * 是否禁止负的中间值。
+		 * @type {boolean}
+		 */
+		this.non_negative = non_negative
+		/**
+		 * 是否禁止非整数的中间值。
+		 * @type {boolean}
+		 */
+		this.integer_only = integer_only
+		/**
+		 * 中间值绝对值的上限。
+		 * @type {import('@steve02081504/bigfloat').bigfloat | undefined}
+		 */
+		this.max_magnitude = max_magnitude === undefined ? undefined : parseRational(max_magnitude, dict.radix).abs()
+		/**
+		 * 是否为最外层，只有最外层检查恰好的基数份数与必须出现的运算符。
+		 * @type {boolean}
+		 */
+		this.final = true
+		/**
+		 * 计算基数份数所用的上下文。
+		 * @type {{ base: string, bases: string[] }}
+		 */
+		this.context = { base: dict.base, bases: dict.bases }
+		/**
+		 * 各节点的度量，各层共用。
+		 * @type {WeakMap<object, { nesting: number, copies: number, violation?: string }>}
+		 */
+		this.memo = new WeakMap()
+		/**
+		 * 各约束排除的候选数，各层共用。
+		 * @type {Map<string, number>}
+		 */
+		this.rejections = new Map()
+		/**
+		 * 子目标的证明，按剩余的嵌套深度与子目标缓存，无法证明时为 null，各层共用。
+		 * @type {Map<string, Promise<import('./dict_ast.mjs').ast_node_t | null>>}
+		 */
+		this.proofs = new Map()
+	}
+
+	/**
+	 * 获取子目标所用的检查器：嵌套深度的上限减 1，不再检查只对完整证明成立的约束。
+	 * @returns {proof_constraints_t} 子目标的检查器，与本检查器共用缓存与统计。
+	 */
+	descend() {
+		return Object.assign(Object.create(proof_constraints_t.prototype), this, { max_nesting: this.max_nesting - 1, final: false })
+	}
+
+	/**
+	 * 证明子目标并缓存结果。满足约束的证明不记入字典，不缓存时相同的子目标会被反复搜索。
+	 * @param {import('@steve02081504/bigfloat').bigfloat} num 子目标。
+	 * @param {() => Promise<import('./dict_ast.mjs').ast_node_t>} prove 证明子目标。
+	 * @returns {Promise<import('./dict_ast.mjs').ast_node_t>} 子目标的证明。
+	 * @throws {Error} 如果无法在约束下证明子目标。
+	 */
+	async memoize(num, prove) {
+		const key = `${this.max_nesting}:${formatRational(num)}`
+		if (!this.proofs.has(key))
+			this.proofs.set(key, prove().catch((e) => {
+				rethrowAbort(e)
+				return null
+			}))
+		const proof = await this.proofs.get(key)
+		if (!proof) throw new Error(`无法在约束下证明 ${formatRational(num)} 的存在`)
+		return proof
+	}
+
+	/**
+	 * 检查一个中间值。
+	 * @param {import('@steve02081504/bigfloat').bigfloat} value 中间值。
+	 * @returns {string | undefined} 不满足的约束名称，满足时为 undefined。
+	 */
+	checkValue(value) {
+		if (this.non_negative && value.sign && !value.equals(0)) return 'non_negative'
+		if (this.integer_only && !isInteger(value)) return 'integer_only'
+		if (this.max_magnitude && value.abs().compare(this.max_magnitude) > 0) return 'max_magnitude'
+	}
+
+	/**
+	 * 计算节点的嵌套深度、基数份数与中间值的违例，结果按节点缓存。
+	 * @param {import('./dict_ast.mjs').ast_node_t} node AST 节点。
+	 * @returns {{ nesting: number, copies: number, violation?: string }} 度量。
+	 */
+	measure(node) {
+		let result = this.memo.get(node)
+		if (result) return result
+		if (node instanceof number_node_t)
+			result = { nesting: 0, copies: getCost(node, 'copies', this.context), violation: this.checkValue(node.calculate()) }
+		else {
+			const children = node.children.map(child => this.measure(child))
+			result = {
+				nesting: 1 + Math.max(...children.map(child => child.nesting)),
+				copies: children.reduce((sum, child) => sum + child.copies, 0),
+				violation: children.find(child => child.violation)?.violation ?? this.checkValue(node.calculate()),
+			}
+		}
+		this.memo.set(node, result)
+		return result
+	}
+
+	/**
+	 * 检查一个候选证明。
+	 * @param {import('./dict_ast.mjs').ast_node_t} node 候选证明。
+	 * @returns {string | undefined} 不满足的约束名称，满足时为 undefined。
+	 */
+	check(node) {
+		const { nesting, copies, violation } = this.measure(node)
+		if (nesting > this.max_nesting) return 'max_nesting'
+		if (copies > this.max_copies + epsilon) return 'max_copies'
+		if (this.copies !== undefined && copies > this.copies + epsilon) return 'copies'
+		if (violation) return violation
+		if (!this.final) return
+		if (this.copies !== undefined && copies < this.copies - epsilon) return 'copies'
+		const operators = collectOperators(node)
+		if (this.required_operators.some(operator => !operators.has(operator))) return 'required_operators'
+	}
+
+	/**
+	 * 检查一个候选证明，不满足约束时记入统计。
+	 * @param {import('./dict_ast.mjs').ast_node_t} node 候选证明。
+	 * @returns {boolean} 是否满足约束。
+	 */
+	accept(node) {
+		const violation = this.check(node)
+		if (violation) this.reject(violation)
+		return !violation
+	}
+
+	/**
+	 * 记录一个因约束而被排除的候选。
+	 * @param {string} name 约束名称。
+	 */
+	reject(name) {
+		this.rejections.set(name, (this.rejections.get(name) ?? 0) + 1)
+	}
+
+	/**
+	 * 生成说明哪些约束使证明失败的错误。
+	 * @param {import('@steve02081504/bigfloat').bigfloat} num 要证明的数字。
+	 * @returns {constraint_error_t} 错误，`constraint` 为排除候选最多的约束。
+	 */
+	toError(num) {
+		const rejections = [...this.rejections].sort(([, a], [, b]) => b - a)
+		const details = rejections.map(([name, count]) => `${name} 排除了 ${count} 个候选`).join('，')
+		return new constraint_error_t(`无法在给定的约束下证明 ${formatRational(num)} 的存在：${details}`, rejections[0][0])
+	}
+}
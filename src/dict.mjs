@@ -1,34 +1,35 @@
 import { bigfloat } from '@steve02081504/bigfloat'
 import {
+	ast_node_t,
 	operator_node_t,
 	add,
 	number_node_t,
 	mergeDictionary,
+	default_operators,
+	node_store_t,
 } from './dict_ast.mjs'
-import { generateRecursive } from './dict_generator.mjs'
+import { operator_registry } from './operators.mjs'
+import { generateTiered, generateUnordered, generateNumbers, findCombination } from './dict_generator.mjs'
+import { digit_mode_t, checkDigitUsage, parseBases, parseSources } from './digits.mjs'
+import { searchOptimal, getCost } from './optimize.mjs'
+import { simplify } from './simplify.mjs'
+import { createRandom } from './random.mjs'
+import { search_budget_t } from './budget.mjs'
+import { abort_error_t, rethrowAbort } from './errors.mjs'
+import { resolveStrategies } from './strategies.mjs'
+import { createSnapshot, readSnapshot } from './snapshot.mjs'
+import { proof_constraints_t } from './constraints.mjs'
+import { checkRadix, formatRational, isInteger, parseDigits, parseRational, reducedFraction } from './rational.mjs'
 
 /**
- * 将一个整数分解成两个尽可能接近的因子，不能使用平方根运算。
- *
- * @param {bigfloat} num - 要分解的整数。
- * @returns {bigfloat[]} - 包含两个因子的数组。
+ * 批量证明中单个目标的结果。
+ * @typedef {object} prove_result_t
+ * @property {number} index 目标在输入中的下标。
+ * @property {bigfloat} target 目标。
+ * @property {ast_node_t} [ast] 证明，失败时没有此项。
+ * @property {Error} [error] 失败原因，成功时没有此项。
+ * @property {number} time 证明耗时（毫秒）。
  */
-function factorize(num) {
-	if (num.lessThan(0)) {
-		const result = factorize(num.neg())
-		return [result[1], result[0].neg()]
-	}
-	let factor1 = bigfloat(1)
-	let factor2 = num
-
-	for (let i = 2n; num.greaterThan(i * i); i++)
-		if (num.mod(i).equals(0)) {
-			factor1 = num.div(i)
-			factor2 = i
-		}
-
-	return [factor1, factor2].map(bigfloat)
-}
 
 /**
  * 表达式字典类，用于存储数字及其对应的表达式的 AST 表示。
@@ -36,173 +37,413 @@ function factorize(num) {
  */
 class expression_dictionary_t extends Function {
 	/**
-	 * @param {string} num_str 初始数字字符串。
+	 * @param {string | (string | number | bigint)[]} num_str 初始数字字符串；reuse 模式下可以是多个基数的数组，构建它们的联合字典；
+	 * numbers 模式下为来源数字的数组或以逗号分隔的字符串。
+	 * @param {object} [options] 选项。
+	 * @param {Iterable<string>} [options.operators=default_operators] 允许使用的运算符，字典构建与证明都只会使用这些运算符。
+	 * @param {digit_mode_t} [options.mode=digit_mode_t.reuse] 基数数字的使用模式。
+	 * @param {number} [options.max_denominator=12] 构建字典时记录的分数约分后分母的上限，为 0 时只记录整数。
+	 * @param {number} [options.radix=10] 基数的进制（2 到 36）：基数、字面量与字符串形式的目标都以此进制书写，证明也以此进制输出。
+	 * @param {bigfloat | number | string} [options.max_value=num_str.repeat(2)] 构建字典时的最大值限制：幂与阶乘等运算按它剪枝，
+	 * 子串字典有项数上限时，绝对值超出它的结果也不予记录。有多个基数时默认按其中最长者计算，字符串按 radix 进制解读。
+	 * @param {number} [options.max_entries] 构建字典时每个子串字典的项数上限，超出时只保留代价最小的项，未记录的组合在证明时按需查找。
+	 * 默认对不超过 8 位的基数不设上限，更长的基数为 200。unordered 与 numbers 模式不受此限。
+	 * @param {(progress: import('./dict_generator.mjs').build_progress_t) => void} [options.onBuildProgress] 构建字典时每生成一个子串的字典调用一次，
+	 * 有多个基数时各基数的进度分别从头计数。
+	 * @param {Map<string, ast_node_t>} [options.data] 现成的字典数据，给出时不再重新构建，通常由 load 传入。
+	 * @param {Map<string, Map<string, ast_node_t>>} [options.tiers] 与 data 一同给出的子串字典，用于按需扩展，通常由 load 传入。
 	 */
-	constructor(num_str) {
+	constructor(num_str, {
+		operators = default_operators,
+		mode = digit_mode_t.reuse,
+		radix = 10,
+		max_denominator = 12,
+		max_value,
+		max_entries,
+		onBuildProgress,
+		data,
+		tiers,
+	} = {}) {
 		super()
-		num_str = String(num_str).replace(/\D/g, '')
+		if (!Object.values(digit_mode_t).includes(mode))
+			throw new Error(`未知的数字使用模式：${mode}`)
+		radix = checkRadix(radix)
+		// numbers 模式下基数为逗号分隔的来源数字
+		const sources = mode === digit_mode_t.numbers ? parseSources(num_str, radix) : undefined
+		const bases = sources ? [sources.join(',')] : parseBases(num_str, radix)
+		if (bases.length > 1 && mode !== digit_mode_t.reuse)
+			throw new Error(`多个基数只能用于 reuse 模式，而非 ${mode} 模式`)
+		num_str = bases.join(',')
 		if (!num_str) return new bad_expression_dictionary_t()
-		{
-			const max_value = num_str.repeat(2)
+		/**
+		 * 基数字符串，numbers 模式下为逗号分隔的来源数字，有多个基数时为逗号分隔的各基数。
+		 * @type {string}
+		 */
+		this.base = num_str
+		/**
+		 * 各基数，只有一个基数时为 `[base]`。
+		 * 有多个基数时字典中的每个数字字面量都标注了所取自的基数，见 number_node_t。
+		 * @type {string[]}
+		 */
+		this.bases = bases
+		/**
+		 * 基数的进制。
+		 * @type {number}
+		 */
+		this.radix = radix
+		/**
+		 * 基数数字的使用模式。
+		 * @type {digit_mode_t}
+		 */
+		this.mode = mode
+		/**
+		 * 允许使用的运算符，一元负号随 `-` 一同启用。
+		 * @type {Set<string>}
+		 */
+		this.operators = new Set(operators)
+		for (const operator of this.operators)
+			if (!operator_registry.has(operator) || operator === 'u-')
+				throw new Error(`未知的运算符：${operator}`)
+		if (data) this.data = data
+		else {
+			const longest = bases.reduce((longest, base) => base.length > longest.length ? base : longest)
+			max_value = max_value === undefined ? String(parseDigits(longest.replace(/,/g, '').repeat(2), radix)) : formatRational(parseRational(max_value, radix))
+			max_entries ??= longest.length > 8 ? 200 : Infinity
+			// 只有一个基数时不标注来源
+			const sourceOf = (base) => bases.length > 1 ? base : undefined
+			// 构建期间共用的节点仓库，构建结束后随之释放
+			const store = new node_store_t()
+			// 各基数共用子串字典，相同的子串只生成一次，其字面量标注为最先生成它的基数
+			const cache = new Map()
+			const generate = (base = num_str) => generateTiered(base, {
+				max_value,
+				bound: max_entries < Infinity ? max_value : undefined,
+				max_entries,
+				operators: this.operators,
+				max_denominator,
+				store,
+				cache,
+				source: sourceOf(base),
+				radix,
+				onProgress: onBuildProgress,
+			})
+			if (max_entries < Infinity && mode !== digit_mode_t.unordered && mode !== digit_mode_t.numbers) tiers = cache
 
-			const result = generateRecursive(num_str, max_value)
+			// 每个数字恰好使用一次时，字典中只保留用尽全部数字的组合
+			if (mode === digit_mode_t.ordered)
+				this.data = generate()
+			else if (mode === digit_mode_t.unordered)
+				this.data = generateUnordered(num_str, max_value, new Map(), this.operators, max_denominator, store, radix)
+			else if (mode === digit_mode_t.numbers)
+				this.data = generateNumbers(sources, max_value, new Map(), this.operators, max_denominator, store, radix)
+			else {
+				const result = new Map()
+				for (const base of bases)
+					for (const [k, v] of generate(base))
+						add(result, k, v)
 
-			let self_dict = new Map()
-			self_dict.set(num_str, new number_node_t(num_str))
-			self_dict = mergeDictionary(self_dict, self_dict, max_value)
+				// 各基数整体之间的组合
+				let self_dict = new Map()
+				for (const base of bases)
+					add(self_dict, String(parseDigits(base, radix)), store.number(base, sourceOf(base), radix))
+				self_dict = mergeDictionary(self_dict, self_dict, max_value, this.operators, max_denominator, store, radix)
 
-			this.data = new Map([...self_dict, ...result])
+				this.data = new Map([...self_dict, ...result])
+			}
+		}
+		if (tiers) {
+			/**
+			 * 各子串的字典，证明时用于按需查找因项数上限而未被记录的组合。
+			 * @type {Map<string, Map<string, ast_node_t>> | undefined}
+			 */
+			this.tiers = tiers
+			/**
+			 * 按需查找过但没有找到的目标。
+			 * @type {Set<string> | undefined}
+			 */
+			this.tier_misses = new Set()
 		}
 		return new Proxy(this, {
 			apply: (target, thisArg, args) => Reflect.apply(this.prove, this, args),
 		})
 	}
 
+	/**
+	 * 生成字典的快照，包含证明过程中学到的字典项，可 JSON 序列化后持久保存。
+	 * @returns {import('./snapshot.mjs').dictionary_snapshot_t} 快照。
+	 */
+	save() {
+		return createSnapshot(this)
+	}
+
+	/**
+	 * 从快照恢复字典，跳过构建过程，快照记录的子串字典一并恢复，按需扩展照常可用。
+	 * @param {import('./snapshot.mjs').dictionary_snapshot_t | string} snapshot 快照或其 JSON 字符串。
+	 * @param {object} [expected] 期望的字典参数（`base`、`mode`、`operators`、`radix`），给出时与快照不符即拒绝。
+	 * @returns {expression_dictionary_t} 恢复的字典。
+	 * @throws {Error} 如果快照损坏、版本不受支持或与期望不符。
+	 */
+	static load(snapshot, expected) {
+		const { base, mode, operators, radix, data, tiers } = readSnapshot(snapshot, expected)
+		return new expression_dictionary_t(mode === digit_mode_t.numbers ? base : base.split(','), { mode, operators, radix, data, tiers })
+	}
+
 	/**
 	 * 获取字典中所有数字键的数组。
 	 * @returns {bigfloat[]} 数字键数组。
 	 */
 	getKeys() {
-		if (this.sortedKeys?.length !== this.data.size) delete this.sortedKeys
-		return this.sortedKeys ??= Array.from(this.data.keys()).map(bigfloat).sort((a, b) => b.compare(a))
+		if (this.sortedKeys?.length !== this.data.size) {
+			delete this.sortedKeys
+			delete this.integerKeys
+			delete this.fractionKeys
+		}
+		return this.sortedKeys ??= Array.from(this.data.keys()).map(key => parseRational(key)).sort((a, b) => b.compare(a))
+	}
+
+	/**
+	 * 获取字典中所有整数键的数组，顺序同 getKeys。
+	 * @returns {bigfloat[]} 整数键数组。
+	 */
+	getIntegerKeys() {
+		const keys = this.getKeys()
+		return this.integerKeys ??= keys.filter(isInteger)
+	}
+
+	/**
+	 * 获取字典中所有分数键的数组，顺序同 getKeys。
+	 * @returns {bigfloat[]} 分数键数组。
+	 */
+	getFractionKeys() {
+		const keys = this.getKeys()
+		return this.fractionKeys ??= keys.filter(key => !key.isInf() && !isInteger(key))
 	}
 
 	/**
 	 * 获取字典中特定数字的 AST 节点。
-	 * @param {bigfloat} num 要获取的数字。
+	 * @param {bigfloat | number | string} num 要获取的数字，字符串可以是 parseRational 接受的任何写法，按字典的进制解读。
 	 * @returns {ast_node_t} 对应的 AST 节点。
 	 */
 	getAst(num) {
-		const result = this.data.get(String(num))
+		const result = this.data.get(formatRational(parseRational(num, this.radix)))
 		return result
 	}
 
+	/**
+	 * 按需扩展字典：在各子串的字典之间查找值为 num 的组合，找到时记入字典。
+	 * 只对构建时设有项数上限的字典有效，用于找回因上限而未被记录的组合。
+	 * @param {bigfloat | number | string} num 要查找的数字，字符串可以是 parseRational 接受的任何写法，按字典的进制解读。
+	 * @returns {ast_node_t | undefined} 字典中该数字对应的 AST 节点，找不到时为 undefined。
+	 */
+	expand(num) {
+		num = parseRational(num, this.radix)
+		const num_str = formatRational(num)
+		if (this.data.has(num_str)) return this.data.get(num_str)
+		if (!this.tiers || this.tier_misses.has(num_str)) return
+		let node
+		for (const base of this.bases) {
+			node = findCombination(base, num, this.tiers, {
+				operators: this.operators,
+				whole: this.mode !== digit_mode_t.reuse,
+				radix: this.radix,
+			})
+			if (node) break
+		}
+		if (!node) {
+			this.tier_misses.add(num_str)
+			return
+		}
+		add(this.data, num_str, node)
+		return this.data.get(num_str)
+	}
+
 	/**
 	 * 证明给定数字可以由当前字典的子项运算结果表达。
 	 * @param {bigfloat} num 要证明的数字。
 	 * @param {number} [max_depth=Infinity] 最大搜索深度。
 	 * @param {(node: ast_node_t) => void} [onProgress] 每次证明更新时调用。
+	 * @param {boolean | Parameters<expression_dictionary_t['proveOptimal']>[1]} [optimize] 是否搜索代价最小的证明，传入对象时作为 proveOptimal 的选项。
+	 * @param {number|string|bigint} [seed] 随机种子，对同一新建字典给定相同的目标、深度与种子时总是得到相同的 AST。
+	 * @param {boolean} [deterministic=false] 是否完全不使用随机数。
+	 * @param {AbortSignal} [signal] 取消信号，触发后抛出 abort_error_t。
+	 * @param {number} [timeout=Infinity] 搜索时间上限（毫秒）。
+	 * @param {number} [maxNodes=Infinity] 搜索访问节点数的上限。
+	 * @param {search_budget_t} [budget] 搜索预算，给出时代替 signal、timeout 与 maxNodes，用于与其他搜索共用同一份预算。
+	 * @param {boolean | object} [simplify=false] 是否化简最终的证明，传入对象时作为 simplify 的选项，进度回调收到的表达式不做化简。
+	 * @param {Iterable<string | Partial<import('./strategies.mjs').strategy_t>>} [strategies=default_strategies] 使用的证明策略及其顺序，见 resolveStrategies。
+	 * @param {import('./constraints.mjs').constraints_t} [constraints] 证明的结构约束，搜索中的每一层都会排除不满足约束的候选，不能与 optimize 同时使用。
+	 * 化简后不再满足约束时返回化简前的证明。
+	 * @returns {Promise<ast_node_t>} 证明数字存在的 AST 节点，超时或节点预算耗尽时为目前找到的最好结果。
+	 * @throws {Error} 如果无法证明数字的存在。
+	 * @throws {constraint_error_t} 如果有候选因约束而被排除，且最终无法证明数字的存在。
+	 * @throws {abort_error_t} 如果搜索被取消，或预算耗尽时尚未找到任何结果。
+	 */
+	async proveAst(num, {
+		max_depth = Infinity,
+		onProgress,
+		optimize,
+		seed,
+		deterministic = false,
+		signal,
+		timeout,
+		maxNodes,
+		budget,
+		simplify: simplify_options = false,
+		strategies,
+		constraints,
+	} = {}) {
+		num = parseRational(num, this.radix)
+		const checker = constraints && new proof_constraints_t(constraints, this)
+		if (checker && optimize) throw new Error('constraints 不能与 optimize 同时使用')
+		const finish = (ast) => {
+			// 字典中的节点之后可能被原地替换为不满足约束的表达式，返回一份副本
+			if (checker) ast = ast_node_t.fromJSON(ast.toJSON())
+			if (!simplify_options) return ast
+			const simplified = this.simplify(ast, Object(simplify_options))
+			return checker?.check(simplified) ? ast : simplified
+		}
+		if (optimize) {
+			const { ast } = await this.proveOptimal(num, { max_depth, seed, deterministic, signal, timeout, maxNodes, budget, strategies, ...Object(optimize) })
+			await onProgress?.(ast)
+			return finish(ast)
+		}
+		let best
+		try {
+			return finish(await this.proveAstImpl(num, {
+				max_depth,
+				onProgress: async (node) => {
+					best = node
+					await onProgress?.(node)
+				},
+				deterministic,
+				random: deterministic ? undefined : seed === undefined ? Math.random : createRandom(seed),
+				budget: budget ?? new search_budget_t({ signal, timeout, maxNodes }),
+				strategies: resolveStrategies(strategies),
+				constraints: checker,
+			}))
+		}
+		catch (e) {
+			// 超时或节点预算耗尽时返回目前找到的最好结果，取消则总是抛出
+			if (e instanceof abort_error_t && e.reason !== 'abort' && best) return finish(best)
+			if (!(e instanceof abort_error_t) && checker?.rejections.size) throw checker.toError(num)
+			throw e
+		}
+	}
+
+	/**
+	 * proveAst 的实现，递归时直接调用以共享随机数生成器与搜索预算。
+	 * @param {bigfloat} num 要证明的数字。
+	 * @param {object} options 选项。
+	 * @param {number} options.max_depth 最大搜索深度。
+	 * @param {(node: ast_node_t) => void} [options.onProgress] 每次证明更新时调用。
+	 * @param {boolean} options.deterministic 是否完全不使用随机数。
+	 * @param {() => number} [options.random] 随机数生成器。
+	 * @param {search_budget_t} options.budget 搜索预算。
+	 * @param {import('./strategies.mjs').strategy_t[]} options.strategies 按运行顺序排列的证明策略。
+	 * @param {(node: ast_node_t) => void} [options.collect] 给出时收集这一层提交的每个证明，查表命中后不再返回，继续运行各个策略。
+	 * @param {proof_constraints_t} [options.constraints] 这一层的约束检查器。
 	 * @returns {Promise<ast_node_t>} 证明数字存在的 AST 节点。
 	 * @throws {Error} 如果无法证明数字的存在。
 	 */
-	async proveAst(num, { max_depth = Infinity, onProgress } = {}) {
-		num = bigfloat(num)
-		const num_str = String(num)
+	async proveAstImpl(num, { max_depth, onProgress, deterministic, random, budget, strategies, collect, constraints }) {
+		await budget.check()
+		num = parseRational(num, this.radix)
+		const num_str = formatRational(num)
+		const can_use = (operator) => this.operators.has(operator)
+
+		// 目标本身是任何证明它的表达式的中间值，嵌套深度的上限用尽时也无法证明
+		if (constraints) {
+			const violation = constraints.max_nesting < 0 ? 'max_nesting' : constraints.checkValue(num)
+			if (violation) {
+				constraints.reject(violation)
+				throw new Error(`${formatRational(num)} 不满足 ${violation} 约束`)
+			}
+		}
 
 		let result
 		const use_result = async (node) => {
 			if (!node) return
-			if (num.floor().equals(num)) add(this.data, num_str, node)
+			if (constraints) {
+				if (!constraints.accept(node)) return
+				collect?.(node)
+				// 满足约束的证明不记入字典，以免字典中的项被原地替换为它，或它被替换为不满足约束的表达式
+				if (result && result.getMetrics().string_length <= node.getMetrics().string_length) return result
+				result = node
+				await onProgress?.(result)
+				return result
+			}
+			collect?.(node)
+			add(this.data, num_str, node)
 			const prev = result
-			result = this.getAst(num_str)
+			result = this.getAst(num)
 			if (result?.get_self?.() !== prev?.get_self?.()) await onProgress?.(result)
 			return result
 		}
 		const next_level = {
 			max_depth: max_depth - 1,
-		}
-
-		// 处理非整数情况
-		if (!num.floor().equals(num)) {
-			const numerator_proof = await this.proveAst(num.basenum.numerator, next_level)
-			const denominator_proof = await this.proveAst(num.basenum.denominator, next_level)
-			return use_result(new operator_node_t('/', [numerator_proof, denominator_proof]))
+			deterministic,
+			random,
+			budget,
+			strategies,
+			constraints: constraints?.descend(),
 		}
 
 		// 如果字典中已存在该数字或其负数，直接返回对应的 AST 节点
 		{
-			if (this.data.has(num_str)) return use_result(this.getAst(num_str))
-			const neg_num_str = String(num.neg())
-			if (this.data.has(neg_num_str)) return use_result(new operator_node_t('u-', [this.getAst(neg_num_str)]))
+			const neg_num_str = formatRational(num.neg())
+			let found
+			if (this.data.has(num_str)) found = this.data.get(num_str)
+			else if (can_use('-') && this.data.has(neg_num_str)) found = new operator_node_t('u-', [this.data.get(neg_num_str)])
+			// 字典有项数上限时，先在各子串的字典之间查找
+			else found = this.expand(num)
+			if (found) {
+				await use_result(found)
+				if (!collect && result) return result
+				// 查表结果不满足约束时只在最外层继续运行各个策略，否则每层子目标都要运行全部策略，搜索量随层数指数增长
+				if (!result && !constraints.final) throw new Error(`字典中 ${formatRational(num)} 的证明不满足约束`)
+			}
 		}
-		// 限制搜索深度
+		// 收集证明时查表命中后仍会走到这里，无法继续搜索时返回已有的结果
+		const giveUp = (message) => {
+			if (result) return result
+			throw new Error(message)
+		}
+		// 每个数字恰好使用一次时无法组合字典项，只能直接查表
+		if (this.mode !== digit_mode_t.reuse)
+			return giveUp(`无法在 ${this.mode} 模式下证明 ${formatRational(num)} 的存在`)
+		// 限制搜索深度，嵌套深度的上限用尽时同样只能查表
 		if (max_depth <= 0)
-			throw new Error(`无法在指定深度内证明 ${num} 的存在`)
+			return giveUp(`无法在指定深度内证明 ${formatRational(num)} 的存在`)
+		if (constraints?.max_nesting <= 0) {
+			constraints.reject('max_nesting')
+			return giveUp(`无法在 max_nesting 约束下证明 ${formatRational(num)} 的存在`)
+		}
 
-		try {
-			const factors = factorize(num)
-			if (!factors[0].abs().equals(1) && !factors[1].abs().equals(1)) {
-				const factor1_proof = await this.proveAst(factors[0], next_level)
-				const factor2_proof = await this.proveAst(factors[1], next_level)
-				await use_result(new operator_node_t('*', [factor1_proof, factor2_proof]))
-			}
-		} catch (e) { }
-		let key_list = this.getKeys()
-		for (let i = 0; i < key_list.length; i++) try {
-			const key = key_list[i]
-			if (key.isInf() || key.equals(0)) continue
-			let product = num
-			let times = 0n
-			while (true) {
-				const new_product = product.div(key)
-				if (!new_product.lessThan(product)) break
-				if (new_product.floor().equals(new_product)) {
-					product = new_product
-					times++
-				} else break
-			}
-			if (times > 0) {
-				const key_str = key.toString()
-				const times_proof = await this.proveAst(bigfloat(times), next_level)
-				const product_proof = await this.proveAst(product, next_level)
-				await use_result(new operator_node_t('*', [
-					times > 1 ? new operator_node_t('^', [this.getAst(key_str), times_proof]) : this.getAst(key_str),
-					product_proof,
-				]))
-				if (Math.random() > 2 / 3) break
-				else i -= Math.floor(Math.random() * (key_list.length - i))
-			}
-		} catch (e) { }
-		for (const key of this.getKeys()) try {
-			if (key.isInf() || key.equals(0)) continue
-			const product = num.mul(key)
-			const product_str = product.toString()
-			if (this.data.has(product_str))
-				await use_result(new operator_node_t('/', [this.getAst(product_str), this.getAst(key.toString())]))
-		} catch (e) { }
-		key_list = this.getKeys()
-		for (let i = 0; i < key_list.length; i++) try {
-			const key = key_list[i]
-			if (key.isInf() || key.equals(0)) continue
-			const mod_result = num.mod(key)
-			if (mod_result.abs().lessThan(num.abs())) {
-				const quotient = num.div(key).floor()
-				const quotient_proof = await this.proveAst(quotient, next_level)
-				const mod_result_proof = await this.proveAst(mod_result, next_level)
-				await use_result(new operator_node_t('+', [
-					new operator_node_t('*', [this.getAst(key.toString()), quotient_proof]),
-					mod_result_proof,
-				]))
-				if (Math.random() > 2 / 3) break
-				else i -= Math.floor(Math.random() * (key_list.length - i))
-			}
-		} catch (e) { }
-		if (result) return result
-		for (const key of this.getKeys()) try {
-			const diff = num.sub(key)
-			if (diff.abs().lessThan(num.abs())) {
-				const diff_proof = await this.proveAst(diff, next_level)
-				await use_result(new operator_node_t('+', [
-					this.getAst(key.toString()),
-					diff_proof,
-				]))
-			}
-		} catch (e) { }
-		if (result) return result
-		for (const key of this.getKeys()) try {
-			const sum = num.add(key)
-			const sum_str = sum.toString()
-			if (this.data.has(sum_str) || sum.abs().lessThan(num.abs())) {
-				const sum_proof = await this.proveAst(sum, next_level)
-				await use_result(new operator_node_t('-', [
-					sum_proof,
-					this.getAst(key.toString()),
-				]))
-			}
-		} catch (e) { }
+		if (!isInteger(num) && !can_use('/')) return giveUp(`无法在不使用除法的情况下证明 ${formatRational(num)} 的存在`)
+
+		/** @type {import('./strategies.mjs').strategy_context_t} */
+		const context = {
+			dict: this,
+			num,
+			can_use,
+			prove: (sub_num) => constraints
+				? next_level.constraints.memoize(sub_num, () => this.proveAstImpl(sub_num, next_level))
+				: this.proveAstImpl(sub_num, next_level),
+			use: use_result,
+			get result() { return result },
+			random,
+			budget,
+		}
+		for (const strategy of strategies) {
+			if (strategy.fallback && result) break
+			if (!strategy.requires.every(can_use) || !strategy.applicable(num, context)) continue
+			try {
+				await strategy.run(context)
+			} catch (e) { rethrowAbort(e) }
+		}
 
 		if (result) return result
-		throw new Error(`无法证明 ${num} 的存在`)
+		throw new Error(`无法证明 ${formatRational(num)} 的存在`)
 	}
 
 	/**
@@ -210,17 +451,244 @@ class expression_dictionary_t extends Function {
 	 * @param {bigfloat} num 要证明的数字。
 	 * @param {number} [max_depth=Infinity] 最大搜索深度。
 	 * @param {(node: string) => void} [onProgress] 每次证明更新时调用。
+	 * @param {boolean | object} [optimize] 是否搜索代价最小的证明，见 proveAst。
+	 * @param {number|string|bigint} [seed] 随机种子，见 proveAst。
+	 * @param {boolean} [deterministic=false] 是否完全不使用随机数。
+	 * @param {AbortSignal} [signal] 取消信号，见 proveAst。
+	 * @param {number} [timeout=Infinity] 搜索时间上限（毫秒），见 proveAst。
+	 * @param {number} [maxNodes=Infinity] 搜索访问节点数的上限，见 proveAst。
+	 * @param {boolean | object} [simplify=false] 是否化简最终的证明，见 proveAst。
+	 * @param {Iterable<string | object>} [strategies] 使用的证明策略及其顺序，见 proveAst。
+	 * @param {import('./constraints.mjs').constraints_t} [constraints] 证明的结构约束，见 proveAst。
 	 * @returns {Promise<string>} 证明数字存在的表达式。
 	 * @throws {Error} 如果无法证明数字的存在。
 	 */
-	async prove(num, { max_depth = Infinity, onProgress } = {}) {
-		return this.proveAst(num, { max_depth, onProgress }).then((node) => node.toString())
+	async prove(num, options = {}) {
+		return this.proveAst(num, options).then((node) => node.toString())
+	}
+
+	/**
+	 * 寻找目标的多个不同证明，按代价从低到高依次产出。
+	 * 候选为字典中已有的证明，以及各证明策略在目标这一层提交的全部证明；子目标仍只用各自最好的证明。
+	 * @param {bigfloat | number | string} num 要证明的数字，字符串可以是 parseRational 接受的任何写法，按字典的进制解读。
+	 * @param {object} [options] 选项，除以下各项外同 proveAst（不支持 optimize、simplify 与 onProgress）。
+	 * @param {number} [options.limit=5] 最多产出的证明数。
+	 * @param {boolean} [options.distinct=true] 是否按规范形式去重：为真时以不限数字用法的 simplify 结果比较，
+	 * 代数上相同的证明（如只是操作数顺序不同）只保留代价最低者；为假时只去掉字符串相同的证明。
+	 * @param {string | import('./optimize.mjs').cost_model_t} [options.cost='symbols'] 排序所用的代价模型，同 proveOptimal。
+	 * @returns {AsyncGenerator<{ ast: ast_node_t, cost: number }>} 按代价从低到高产出的证明，代价相同时较短者在前。
+	 * @throws {Error} 如果无法证明数字的存在。
+	 * @throws {abort_error_t} 如果搜索被取消，或预算耗尽时尚未找到任何证明。
+	 */
+	async *proveAll(num, { limit = 5, distinct = true, cost = 'symbols', max_depth = Infinity, seed, deterministic = false, signal, timeout, maxNodes, strategies } = {}) {
+		num = parseRational(num, this.radix)
+		/** @type {Map<string, { ast: ast_node_t, cost: number, text: string }>} */
+		const candidates = new Map()
+		const compare = (a, b) => a.cost - b.cost || a.text.length - b.text.length || (a.text < b.text ? -1 : a.text > b.text ? 1 : 0)
+		const collect = (node) => {
+			// 字典中的节点之后可能被原地替换，保存一份副本
+			const ast = ast_node_t.fromJSON(node.toJSON())
+			const candidate = { ast, cost: getCost(ast, cost, this), text: String(ast) }
+			const key = distinct ? String(simplify(ast, { preserveDigits: false })) : candidate.text
+			const existing = candidates.get(key)
+			if (!existing || compare(candidate, existing) < 0) candidates.set(key, candidate)
+		}
+		try {
+			await this.proveAstImpl(num, {
+				max_depth,
+				deterministic,
+				random: deterministic ? undefined : seed === undefined ? Math.random : createRandom(seed),
+				budget: new search_budget_t({ signal, timeout, maxNodes }),
+				strategies: resolveStrategies(strategies),
+				collect,
+			})
+		}
+		catch (e) {
+			// 超时或节点预算耗尽时产出目前找到的证明，取消则总是抛出
+			if (!candidates.size || e instanceof abort_error_t && e.reason === 'abort') throw e
+		}
+		for (const { ast, cost } of [...candidates.values()].sort(compare).slice(0, limit))
+			yield { ast, cost }
+	}
+
+	/**
+	 * 证明给定数字，无法证明时退而求其次，给出字典中与之最接近的值。
+	 * 用于数字游戏等不一定有解的场合：numbers 模式下字典即是全部可达的值，找不到精确解时返回最接近的可达值及其与目标的距离。
+	 * @param {bigfloat | number | string} num 要证明的数字，字符串可以是 parseRational 接受的任何写法，按字典的进制解读。
+	 * @param {Parameters<expression_dictionary_t['proveAst']>[1]} [options] 选项，同 proveAst。
+	 * @returns {Promise<{ ast: ast_node_t, value: bigfloat, distance: bigfloat, exact: boolean }>} 证明结果，
+	 * `value` 为 ast 的值，`distance` 为它与目标之差的绝对值，`exact` 表示是否精确证明了目标。
+	 * 与目标等距的两个值中取较小者。
+	 * @throws {Error} 如果字典为空。
+	 * @throws {abort_error_t} 如果搜索被取消，或预算耗尽时尚未找到任何结果。
+	 */
+	async proveClosest(num, options = {}) {
+		num = parseRational(num, this.radix)
+		try {
+			const ast = await this.proveAst(num, options)
+			return { ast, value: num, distance: bigfloat(0), exact: true }
+		} catch (e) { rethrowAbort(e) }
+		const keys = this.getKeys().filter(key => !key.isInf())
+		if (!keys.length) throw new Error(`无法证明 ${formatRational(num)} 的存在，字典为空`)
+		const distanceOf = (value) => value.sub(num).abs()
+		// 键按从大到小排列，二分查找第一个不大于 target 的键，最接近的值是它或它前面的键
+		const closestKey = (target) => {
+			let low = 0, high = keys.length
+			while (low < high) {
+				const middle = (low + high) >> 1
+				if (keys[middle].compare(target) > 0) low = middle + 1
+				else high = middle
+			}
+			return [keys[low], keys[low - 1]].filter(Boolean)
+				.reduce((best, key) => key.sub(target).abs().compare(best.sub(target).abs()) < 0 ? key : best)
+		}
+		const candidates = [{ value: closestKey(num), negated: false }]
+		// 允许一元负号时，字典项的相反数同样可达
+		if (this.operators.has('-')) candidates.push({ value: closestKey(num.neg()).neg(), negated: true })
+		const { value, negated } = candidates.reduce((best, candidate) => {
+			const order = distanceOf(candidate.value).compare(distanceOf(best.value))
+			return order < 0 || !order && candidate.value.compare(best.value) < 0 ? candidate : best
+		})
+		const ast = negated ? new operator_node_t('u-', [this.getAst(value.neg())]) : this.getAst(value)
+		return { ast, value, distance: distanceOf(value), exact: false }
+	}
+
+	/**
+	 * 估计证明一个目标的难度，用于安排批量证明的顺序。
+	 * 字典中已有的目标最容易，其余按分子分母的位数由少到多。
+	 * @param {bigfloat} num 目标。
+	 * @returns {number} 难度，越小越容易。
+	 */
+	getDifficulty(num) {
+		if (this.data.has(formatRational(num)) || this.data.has(formatRational(num.neg()))) return 0
+		const { numerator, denominator } = reducedFraction(num)
+		return String(numerator).length + String(denominator).length
+	}
+
+	/**
+	 * 依次证明多个目标，每证明完一个就产出一个结果。
+	 * 所有目标共享同一个字典，先证明的目标及其中间结果会被加入字典，供之后的目标直接使用。
+	 * 单个目标失败或超出预算时只记录在结果中，不影响其余目标；取消信号则结束整个批次。
+	 * @param {Iterable<bigfloat | number | string | bigint>} targets 要证明的数字。
+	 * @param {object} [options] 选项，除以下各项外同 proveAst，其中 `timeout` 与 `maxNodes` 是每个目标各自的预算。
+	 * @param {'easy-first' | 'input'} [options.order='easy-first'] 证明顺序，`easy-first` 时先证明字典中已有的与位数少的目标，`input` 时按输入顺序逐个读取。
+	 * @param {(result: prove_result_t) => void} [options.onResult] 每个目标完成时调用。
+	 * @returns {AsyncGenerator<prove_result_t>} 按证明顺序产出的结果。
+	 * @throws {abort_error_t} 如果批次被取消。
+	 */
+	async *proveMany(targets, { order = 'easy-first', onResult, ...options } = {}) {
+		const { radix } = this
+		let entries = (function* () {
+			let index = 0
+			for (const target of targets) yield { index: index++, target: parseRational(target, radix) }
+		})()
+		if (order === 'easy-first')
+			entries = [...entries]
+				.map(entry => ({ ...entry, difficulty: this.getDifficulty(entry.target) }))
+				.sort((a, b) => a.difficulty - b.difficulty)
+		else if (order !== 'input') throw new Error(`未知的证明顺序：${order}`)
+		for (const { index, target } of entries) {
+			const start = performance.now()
+			const result = { index, target }
+			try {
+				result.ast = await this.proveAst(target, options)
+			}
+			catch (e) {
+				if (e instanceof abort_error_t && e.reason === 'abort' || !(e instanceof Error)) throw e
+				result.error = e
+			}
+			result.time = performance.now() - start
+			onResult?.(result)
+			yield result
+		}
+	}
+
+	/**
+	 * 证明闭区间 [from, to] 内的每个整数，选项与产出同 proveMany。
+	 * @param {bigfloat | number | string | bigint} from 起点。
+	 * @param {bigfloat | number | string | bigint} to 终点（包含）。
+	 * @param {Parameters<expression_dictionary_t['proveMany']>[1]} [options] 选项。
+	 * @returns {AsyncGenerator<prove_result_t>} 按证明顺序产出的结果。
+	 * @throws {abort_error_t} 如果批次被取消。
+	 */
+	proveRange(from, to, options) {
+		from = BigInt(String(parseRational(from, this.radix).neg().floor().neg()))
+		to = BigInt(String(parseRational(to, this.radix).floor()))
+		return this.proveMany((function* () {
+			for (let num = from; num <= to; num++) yield num
+		})(), options)
+	}
+
+	/**
+	 * 在给定代价模型下寻找代价最小的证明。
+	 * 先以启发式搜索得到可行解作为上界，再在字典项的组合中做最佳优先搜索，预算耗尽时返回目前最好的结果。
+	 * 两个阶段共用同一份时间与节点预算。
+	 * @param {bigfloat} num 要证明的数字。
+	 * @param {object} [options] 选项。
+	 * @param {string | import('./optimize.mjs').cost_model_t} [options.cost='symbols'] 代价模型，可为 `symbols`、`nodes`、`copies` 或自定义模型。
+	 * @param {number} [options.timeout=10000] 搜索时间上限（毫秒）。
+	 * @param {number} [options.maxNodes=200000] 生成候选节点数的上限。
+	 * @param {bigfloat} [options.max_value] 中间值绝对值的上限。
+	 * @param {number} [options.max_depth=Infinity] 启发式搜索的最大深度。
+	 * @param {number|string|bigint} [options.seed] 启发式搜索的随机种子。
+	 * @param {boolean} [options.deterministic=false] 启发式搜索是否完全不使用随机数。
+	 * @param {Iterable<string | object>} [options.strategies] 启发式搜索使用的证明策略，见 proveAst。
+	 * @param {AbortSignal} [options.signal] 取消信号，触发后抛出 abort_error_t。
+	 * @param {search_budget_t} [options.budget] 搜索预算，给出时代替 timeout、maxNodes 与 signal。
+	 * @returns {Promise<{ ast: ast_node_t, cost: number, optimal: boolean, expanded: number }>} 证明结果，
+	 * `optimal` 表示是否证明了在搜索空间内不存在更便宜的表达式。
+	 * @throws {Error} 如果无法证明数字的存在。
+	 * @throws {abort_error_t} 如果搜索被取消，或预算耗尽时尚未找到任何结果。
+	 */
+	async proveOptimal(num, { cost = 'symbols', timeout = 10000, maxNodes = 200000, max_value, max_depth = Infinity, seed, deterministic, strategies, signal, budget } = {}) {
+		num = parseRational(num, this.radix)
+		budget ??= new search_budget_t({ signal, timeout, maxNodes })
+		let heuristic
+		try {
+			heuristic = await this.proveAst(num, { max_depth, seed, deterministic, strategies, budget })
+		} catch (e) {
+			// 预算耗尽时交由最佳优先搜索返回字典中已有的结果，取消则总是抛出
+			if (e instanceof abort_error_t && e.reason === 'abort') throw e
+		}
+		// 每个数字恰好使用一次时字典项无法组合，只能返回查表结果
+		if (this.mode !== digit_mode_t.reuse) {
+			if (!heuristic) {
+				budget.throwIfExhausted()
+				throw new Error(`无法在 ${this.mode} 模式下证明 ${formatRational(num)} 的存在`)
+			}
+			return { ast: heuristic, cost: getCost(heuristic, cost, this), optimal: false, expanded: 0 }
+		}
+		const result = await searchOptimal(this, num, { cost, upper_bound: heuristic, max_value, budget })
+		if (!result.ast) {
+			budget.throwIfExhausted()
+			throw new Error(`无法证明 ${formatRational(num)} 的存在`)
+		}
+		return result
+	}
+
+	/**
+	 * 获取证明所消耗的基数数字报告，并检查其是否符合当前的数字使用模式。
+	 * @param {ast_node_t} node 表达式 AST 节点。
+	 * @returns {ReturnType<typeof checkDigitUsage>} 数字使用报告。
+	 */
+	getDigitReport(node) {
+		return checkDigitUsage(this.mode === digit_mode_t.numbers ? this.base : this.bases, node, this.mode, this.radix)
+	}
+
+	/**
+	 * 化简表达式，默认只做符合当前基数、数字使用模式与运算符集的改写。
+	 * @param {ast_node_t} node 表达式 AST 节点。
+	 * @param {Parameters<typeof simplify>[1]} [options] 选项，同 simplify。
+	 * @returns {ast_node_t} 化简后的 AST。
+	 */
+	simplify(node, options = {}) {
+		return simplify(node, { base: this.bases, mode: this.mode, operators: this.operators, radix: this.radix, ...options })
 	}
 
 	/**
-	 * 获取表达式的计算步骤，用于调试。
+	 * 获取表达式的计算步骤，按后序排列，相同的子表达式只计算一次。
 	 * @param {ast_node_t} node 表达式 AST 节点。
-	 * @returns {string} 分解后的计算步骤。
+	 * @returns {import('./dict_ast.mjs').calculation_step_t[]} 分解后的计算步骤，可用 formatCalculationSteps 格式化。
 	 */
 	getCalculationSteps(node) {
 		return node.getCalculationSteps().steps
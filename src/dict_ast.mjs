@@ -1,20 +1,23 @@
 import { bigfloat } from '@steve02081504/bigfloat'
 import { replace_able_t } from './replace_able.mjs'
+import { precedence_t, default_operators, operator_registry } from './operators.mjs'
+import { renderExpression } from './render.mjs'
+import { formatDigits, formatRational, parseDigits } from './rational.mjs'
+
+export { precedence_t, default_operators }
 
 /**
- * 运算符优先级枚举。
- * @enum {number}
+ * 节点度量缓存的代数，已有父节点的节点被替换时递增。
+ * 代数变化后取度量时逐层核对子节点的度量，只有被替换的节点及其祖先会重新计算，其余节点沿用缓存。
+ * @type {number}
  */
-export const precedence_t = {
-	[undefined]: 0,
-	'u-': 4, // 一元负号
-	'^': 3,
-	'*': 2,
-	'/': 2,
-	'%': 2,
-	'+': 1,
-	'-': 1,
-}
+let metrics_generation = 0
+
+/**
+ * 已计算的度量个数，用作度量的时间戳：子节点的度量比父节点的新时，父节点的缓存已过期。
+ * @type {number}
+ */
+let metrics_stamp = 0
 
 /**
  * 抽象语法树节点基类。
@@ -23,10 +26,15 @@ export const precedence_t = {
 export class ast_node_t extends replace_able_t {
 	/**
 	 * 将 AST 节点转换为表达式字符串。
+	 * @param {object} [options] 选项。
+	 * @param {string} [options.format='text'] 输出格式，`text` 为本库自身的语法，其余见 render_formats。
+	 * @param {boolean} [options.sources=false] 是否标出数字字面量来自哪个基数，只对提供了 `source` 写法的格式有效，见 renderExpression。
+	 * @param {boolean} [options.decimal=false] 是否将其他进制的数字字面量换算为十进制输出，仅供显示。
 	 * @returns {string} 节点对应的表达式字符串。
 	 */
-	toString(...args) {
-		return this.toStringImpl(...args)
+	toString({ format = 'text', sources = false, decimal = false } = {}) {
+		if (format !== 'text') return renderExpression(this, format, { sources, decimal })
+		return decimal ? convertRadix(this, 10).toStringImpl() : this.toStringImpl()
 	}
 
 	/**
@@ -39,11 +47,48 @@ export class ast_node_t extends replace_able_t {
 	}
 
 	/**
-	 * 获取节点对应的计算结果。
+	 * 获取节点对应的计算结果，结果会被缓存：替换节点时值总是不变。
 	 * @returns {bigfloat} 节点对应的计算结果。
 	 */
 	calculate() {
-		return this.calculateImpl()
+		return this.cached_value ??= this.calculateImpl()
+	}
+
+	/**
+	 * 获取节点的度量：表达式字符串的长度与节点数，结果会被缓存。
+	 * 共享的子树按出现次数计算，与 toString 的输出一致。
+	 * @returns {node_metrics_t} 节点的度量。
+	 */
+	getMetrics() {
+		const { metrics, children } = this
+		if (metrics?.generation === metrics_generation) return metrics
+		// 子节点的度量都未重新计算时，子树中没有节点被替换，缓存仍然有效
+		if (metrics && (!children || children.every(child => child.getMetrics().stamp < metrics.stamp))) {
+			metrics.generation = metrics_generation
+			return metrics
+		}
+		const result = { generation: metrics_generation, ...this.measureImpl() }
+		result.stamp = ++metrics_stamp
+		return this.metrics = result
+	}
+
+	/**
+	 * 计算节点度量的实现。
+	 * @abstract
+	 * @returns {Omit<node_metrics_t, 'generation' | 'stamp'>} 节点的度量。
+	 */
+	measureImpl() {
+		throw new Error('Not implemented')
+	}
+
+	did_replace_to(obj_that_was_replaced) {
+		// 被替换的节点已是其他节点的子树时，祖先节点需核对其度量缓存
+		if (obj_that_was_replaced.has_parent) {
+			this.has_parent = true
+			// 替换者的度量可能早于祖先的度量，需重新计算以更新时间戳
+			this.metrics = undefined
+			metrics_generation++
+		}
 	}
 
 	/**
@@ -55,6 +100,27 @@ export class ast_node_t extends replace_able_t {
 		throw new Error('Not implemented')
 	}
 
+	/**
+	 * 获取节点的逐步计算过程，按后序排列，相同的子表达式只计算一次。
+	 * @returns {{ value: bigfloat, steps: calculation_step_t[] }} 计算结果与计算步骤。
+	 */
+	getCalculationSteps() {
+		const steps = []
+		const { value } = this.getCalculationStepsImpl(steps, new Map())
+		return { value, steps }
+	}
+
+	/**
+	 * 获取逐步计算过程的实现。
+	 * @abstract
+	 * @param {calculation_step_t[]} steps 已有的计算步骤，新步骤追加在末尾。
+	 * @param {Map<string, calculation_step_t>} seen 已计算过的子表达式。
+	 * @returns {{ value: bigfloat, step?: number }} 计算结果，以及得到它的步骤下标（字面量没有步骤）。
+	 */
+	getCalculationStepsImpl(steps, seen) {
+		throw new Error('Not implemented')
+	}
+
 	/**
 	 * 获取json序列化后的AST节点。
 	 * @returns {Object} json序列化后的AST节点。
@@ -70,6 +136,7 @@ export class ast_node_t extends replace_able_t {
 	 */
 	static fromJSON(json) {
 		if (Object(json) instanceof String) return new number_node_t(json)
+		if (json.literal !== undefined) return new number_node_t(json.literal, json.source, json.radix)
 		return new operator_node_t(json.operator, json.children.map(child => ast_node_t.fromJSON(child)))
 	}
 }
@@ -82,28 +149,163 @@ export class ast_node_t extends replace_able_t {
 export class number_node_t extends ast_node_t {
 	/**
 	 * 构造函数。
-	 * @param {bigint|string|number} value 数字节点的值。
+	 * @param {bigint|string|number} value 数字节点的值，字符串为以 radix 进制书写的字面量。
+	 * @param {string} [source] 字面量所取自的基数，由多个基数构建字典时标注。
+	 * @param {number} [radix=10] 字面量的进制。
 	 */
-	constructor(value) {
+	constructor(value, source, radix = 10) {
 		super()
+		const is_literal = Object(value) instanceof String
 		/**
 		 * 节点值。
 		 * @type {bigint}
 		 */
-		this.value = BigInt(value)
+		this.value = is_literal ? parseDigits(value, radix) : BigInt(value)
+		/**
+		 * 书写形式，保留前导零以便核对所用的数字，字母大写。
+		 * @type {string}
+		 */
+		this.literal = is_literal ? radix === 10 ? value : value.toUpperCase() : formatDigits(this.value, radix)
+		/**
+		 * 字面量的进制。
+		 * @type {number}
+		 */
+		this.radix = radix
+		/**
+		 * 字面量所取自的基数，由多个基数构建字典时标注，其余情况下为 undefined。
+		 * @type {string | undefined}
+		 */
+		this.source = source
 	}
 
 	toStringImpl() {
-		return String(this.value)
+		return this.literal
 	}
 
 	calculateImpl() {
 		return bigfloat(this.value)
 	}
 
+	getCalculationStepsImpl() {
+		return { value: this.calculate() }
+	}
+
+	measureImpl() {
+		return { string_length: this.literal.length, node_count: 1 }
+	}
+
 	toJSON() {
-		return this.toString()
+		if (this.source === undefined && this.radix === 10) return this.toString()
+		const result = { literal: this.literal }
+		if (this.source !== undefined) result.source = this.source
+		if (this.radix !== 10) result.radix = this.radix
+		return result
+	}
+}
+
+/**
+ * 将 AST 中的数字字面量改写为给定进制，返回新的 AST，不修改传入的节点。
+ * 改写后的字面量不再是基数的数字组，仅供显示，如将 16 进制的证明换算为十进制。
+ * @param {ast_node_t} node AST 节点。
+ * @param {number} [radix=10] 目标进制。
+ * @returns {ast_node_t} 改写后的 AST，没有需要改写的字面量时为原节点。
+ */
+export function convertRadix(node, radix = 10) {
+	const memo = new Map()
+	const visit = (node) => {
+		if (memo.has(node)) return memo.get(node)
+		let result = node
+		if (node instanceof number_node_t) {
+			if (node.radix !== radix) result = new number_node_t(node.value, node.source, radix)
+		}
+		else {
+			const children = node.children.map(visit)
+			// 保留原来的进制用于运算，如 16 进制的 1||A 换算后仍为 0x1A
+			if (children.some((child, index) => child !== node.children[index]))
+				result = new operator_node_t(node.operator, children, node.radix)
+		}
+		memo.set(node, result)
+		return result
+	}
+	return visit(node)
+}
+
+/**
+ * 判断操作数在给定父运算符下是否需要加括号。
+ * @param {ast_node_t} operand 子操作数节点。
+ * @param {string} parent_operator 父节点的运算符。
+ * @param {boolean} is_left 是否为左操作数（后缀运算符的操作数也视为左操作数）。
+ * @returns {boolean} 是否需要加括号。
+ */
+function needsParentheses(operand, parent_operator, is_left) {
+	if (!(operand instanceof operator_node_t)) return false
+
+	const { operator } = operand
+	const parent_spec = operator_registry.get(parent_operator)
+
+	// 同级运算符的结合性
+	if (parent_operator === operator) {
+		// 一元运算符：前缀叠写需括号（如 -(-x)，避免写出 --x），后缀可直接叠写
+		if (parent_spec.arity === 1)
+			return parent_spec.position === 'prefix'
+
+		switch (parent_spec.associativity) {
+			// 左结合：左操作数一侧可直接写出，如 a-b-c、(a/b)/c
+			case 'left':
+				return !is_left
+			// 右结合：右操作数一侧可直接写出，如 a^b^c
+			case 'right':
+				return is_left
+			// 满足结合律：左操作数无需括号；右操作数若最左路径含其他同级运算符，可能破坏左结合语义
+			// 例如 a*(b%c*d) 若省略括号写成 a*b%c*d，会被解析为 ((a*b)%c)*d
+			case 'both': {
+				const isCleanLeftPath = (node) => {
+					if (!(node instanceof operator_node_t)) return true
+					if (node.operator !== operator && !parent_spec.associates_with.includes(node.operator))
+						return precedence_t[node.operator] > precedence_t[operator]
+					return isCleanLeftPath(node.children[0])
+				}
+				return !(is_left || isCleanLeftPath(operand))
+			}
+		}
+	}
+
+	// 优先级相同但运算符不同：与结合方向相反的一侧需括号
+	if (precedence_t[parent_operator] === precedence_t[operator]) {
+		// 前缀运算符叠写无歧义，如 -√x
+		if (parent_spec.arity === 1 && parent_spec.position === 'prefix' && operator_registry.get(operator).position === 'prefix')
+			return false
+		if (parent_spec.associativity === 'right')
+			return is_left
+		return !is_left
 	}
+
+	// JS 中 -expr**n 是语法错误，一元负号作为幂运算操作数时必须加括号
+	if (parent_operator === '^' && operator === 'u-')
+		return true
+
+	// 不同级运算符的优先级
+	return precedence_t[operator] < precedence_t[parent_operator]
+}
+
+/**
+ * 计算运算符作用于给定子节点所得表达式的度量，无需创建节点。
+ * 不考虑构造函数对一元负号的改写，子节点含一元负号时应创建节点后再取度量。
+ * @param {string} operator 运算符。
+ * @param {ast_node_t[]} children 子节点数组。
+ * @returns {Omit<node_metrics_t, 'generation' | 'stamp'>} 表达式的度量。
+ */
+export function measureOperator(operator, children) {
+	const { arity, position, symbol } = operator_registry.get(operator)
+	let string_length = symbol.length
+	let node_count = 1
+	children.forEach((child, index) => {
+		const metrics = child.getMetrics()
+		const is_left = arity === 1 ? position === 'postfix' : index === 0
+		string_length += metrics.string_length + (needsParentheses(child, operator, is_left) ? 2 : 0)
+		node_count += metrics.node_count
+	})
+	return { string_length, node_count }
 }
 
 /**
@@ -116,8 +318,9 @@ export class operator_node_t extends ast_node_t {
 	 * 构造函数。
 	 * @param {string} operator 运算符。
 	 * @param {ast_node_t[]} children 子节点数组。
+	 * @param {number} [radix] 运算所用的进制，省略时取子节点中非十进制的进制，都是十进制时为 10。
 	 */
-	constructor(operator, children) {
+	constructor(operator, children, radix = children.find(child => child.radix !== 10)?.radix ?? 10) {
 		super()
 		/**
 		 * 子节点数组。
@@ -129,6 +332,12 @@ export class operator_node_t extends ast_node_t {
 		 * @type {string}
 		 */
 		this.operator = operator
+		/**
+		 * 运算所用的进制，即表达式中数字字面量的进制，作为运算上下文传给运算符。
+		 * @type {number}
+		 */
+		this.radix = radix
+		for (const child of children) if (!child.has_parent) child.has_parent = true
 		// 辅助函数，用于获取节点的“绝对值”形式
 		// 如果是 u- 节点，返回其子节点；否则返回自身
 		const get_abs_node = (node) => node instanceof operator_node_t && node.operator === 'u-' ? node.children[0] : node
@@ -166,22 +375,20 @@ export class operator_node_t extends ast_node_t {
 					// A / (-B) => -(A / B)
 					// (-A) / B => -(A / B)
 					// 创建一个不带负号的二元操作节点，然后用 u- 包裹它
-					const new_binary_op_node = new operator_node_t(operator, [left_abs, right_abs])
-					return new operator_node_t('u-', [new_binary_op_node]) // 返回一元负号节点
+					const new_binary_op_node = new operator_node_t(operator, [left_abs, right_abs], radix)
+					return new operator_node_t('u-', [new_binary_op_node], radix) // 返回一元负号节点
 				}
 
 			// 幂运算简化
 			if (operator === '^') {
 				const exp = right.calculate()
-				// 负指数产生分数，在表达式字典中不适用，抛出让上层跳过此操作
-				if (exp.sign) throw new RangeError('negative exponent')
 				// 底数为负数：(-A)^偶数 => A^偶数；(-A)^奇数 => -(A^奇数)
 				if (left_is_negative && exp.floor().equals(exp))
-					if (exp.abs().floor() % 2n === 0n)
+					if (exp.mod(2).equals(0))
 						this.children = [left_abs, right]
 					else {
-						const new_pow_node = new operator_node_t('^', [left_abs, right])
-						return new operator_node_t('u-', [new_pow_node])
+						const new_pow_node = new operator_node_t('^', [left_abs, right], radix)
+						return new operator_node_t('u-', [new_pow_node], radix)
 					}
 			}
 		}
@@ -199,11 +406,14 @@ export class operator_node_t extends ast_node_t {
 
 	toStringImpl() {
 		const { operator, children } = this
+		const { arity, position, symbol } = operator_registry.get(operator)
 
 		// 一元运算符
-		if (operator === 'u-') {
-			const operand_str = this.formatOperand(children[0], this, false)
-			return `-${operand_str}`
+		if (arity === 1) {
+			// 后缀运算符的操作数位于左侧
+			if (position === 'postfix')
+				return `${this.formatOperand(children[0], this, true)}${symbol}`
+			return `${symbol}${this.formatOperand(children[0], this, false)}`
 		}
 
 		// 二元运算符
@@ -211,7 +421,7 @@ export class operator_node_t extends ast_node_t {
 		const left_str = this.formatOperand(left, this, true)
 		const right_str = this.formatOperand(right, this, false)
 
-		return `${left_str}${operator}${right_str}`
+		return `${left_str}${symbol}${right_str}`
 	}
 
 	/**
@@ -222,143 +432,251 @@ export class operator_node_t extends ast_node_t {
 	 * @returns {string} 格式化后的操作数字符串。
 	 */
 	formatOperand(operand, parent, is_left) {
-		if (!(operand instanceof operator_node_t))
-			return operand.toString()
+		return needsParentheses(operand, parent.operator, is_left) ? `(${operand.toString()})` : operand.toString()
+	}
 
-		const { operator } = operand
+	measureImpl() {
+		return measureOperator(this.operator, this.children)
+	}
 
-		// 同级运算符的结合性
-		if (parent.operator === operator) {
-			if ((parent.operator === '-' || parent.operator === '/') && !is_left)
-				return `(${operand.toString()})`
+	calculateImpl() {
+		const spec = operator_registry.get(this.operator)
+		if (!spec) throw new Error(`Unknown operator: ${this.operator}`)
+		return spec.calculate(...this.children.map(child => child.calculate()), { radix: this.radix })
+	}
 
-			// 左结合：左操作数一侧可直接写出，如 a-b-c、(a/b)/c
-			if ((parent.operator === '-' || parent.operator === '/') && is_left)
-				return operand.toString()
+	getCalculationStepsImpl(steps, seen) {
+		const expression = this.toString()
+		if (seen.has(expression)) {
+			const { value, index } = seen.get(expression)
+			return { value, step: index }
+		}
+		const spec = operator_registry.get(this.operator)
+		if (!spec) throw new Error(`Unknown operator: ${this.operator}`)
+		const operands = this.children.map(child => child.getCalculationStepsImpl(steps, seen))
+		const step = {
+			index: steps.length,
+			expression,
+			operator: this.operator,
+			operands: operands.map(operand => operand.value),
+			operand_steps: operands.map(operand => operand.step),
+			value: spec.calculate(...operands.map(operand => operand.value), { radix: this.radix }),
+		}
+		steps.push(step)
+		seen.set(expression, step)
+		return { value: step.value, step: step.index }
+	}
 
-			// 加法和幂运算满足结合律，右操作数无需括号
-			if (parent.operator === '+' || parent.operator === '^')
-				return operand.toString()
+	toJSON() {
+		return {
+			operator: this.operator,
+			children: this.children.map(child => child.toJSON()),
+		}
+	}
+}
 
-			// 乘法：左操作数无需括号；右操作数若最左路径含 % 或 /，会破坏左结合语义
-			// 例如 a*(b%c*d) 若省略括号写成 a*b%c*d，会被解析为 ((a*b)%c)*d
-			if (parent.operator === '*') {
-				const isCleanLeftPath = (node, op) => {
-					if (!(node instanceof operator_node_t)) return true
-					if (node.operator !== op) return false
-					return isCleanLeftPath(node.children[0], op)
-				}
-				return is_left || isCleanLeftPath(operand, '*') ? operand.toString() : `(${operand.toString()})`
-			}
+/**
+ * 一步计算。
+ * @typedef {object} calculation_step_t
+ * @property {number} index 步骤在计算过程中的下标。
+ * @property {string} expression 本步计算的子表达式。
+ * @property {string} operator 运算符。
+ * @property {bigfloat[]} operands 操作数的值。
+ * @property {(number | undefined)[]} operand_steps 各操作数由哪一步得到，字面量为 undefined。
+ * @property {bigfloat} value 本步的计算结果。
+ */
 
-			// 一元负号
-			if (parent.operator === 'u-')
-				return `(${operand.toString()})`
-		}
+/**
+ * 节点的度量，用于比较表达式的长短。
+ * @typedef {object} node_metrics_t
+ * @property {number} string_length 表达式字符串的长度。
+ * @property {number} node_count 节点数。
+ * @property {number} generation 最近一次确认度量有效时的缓存代数。
+ * @property {number} stamp 度量的时间戳，晚于子节点度量的时间戳时缓存有效。
+ */
 
-		// 优先级相同但运算符不同（左结合）：仅右操作数需括号
-		if (precedence_t[parent.operator] === precedence_t[operator])
-			return is_left ? operand.toString() : `(${operand.toString()})`
+/**
+ * 将计算步骤格式化为可读的文本，每步一行，形如 `3. (11-4)*5 = 7*5 = 35`。
+ * @param {calculation_step_t[]} steps 计算步骤。
+ * @param {number} [radix=10] 中间值的进制，应与表达式中字面量的进制一致。
+ * @returns {string} 格式化后的计算过程。
+ */
+export function formatCalculationSteps(steps, radix = 10) {
+	const formatValue = (value) => {
+		const str = formatRational(value, radix)
+		return value.sign && !value.equals(0) || str.includes('/') ? `(${str})` : str
+	}
+	return steps.map(({ index, expression, operator, operands }) => {
+		const { arity, position, symbol } = operator_registry.get(operator)
+		const [left, right] = operands.map(formatValue)
+		const substituted = arity === 2 ? `${left}${symbol}${right}` : position === 'postfix' ? `${left}${symbol}` : `${symbol}${left}`
+		const value = formatRational(steps[index].value, radix)
+		return [`${index + 1}. ${expression}`, ...new Set([substituted, value].filter(str => str !== expression))].join(' = ')
+	}).join('\n')
+}
 
-		// JS 中 -expr**n 是语法错误，一元负号作为幂运算左操作数时必须加括号
-		if (parent.operator === '^' && operator === 'u-')
-			return `(${operand.toString()})`
+/**
+ * 哈希共享（hash-consing）的节点仓库：同一运算符作用于同一组子节点时总是返回同一个节点，使相同的子树只存一份。
+ * 子节点按对象身份区分，被替换的节点仍是原来的对象，其父节点无需重建；
+ * 因此节点被替换后，仓库返回的是替换后的表达式，其值不变且不会更长。
+ * @class
+ */
+export class node_store_t {
+	/**
+	 * 键到节点的映射，键由运算符与各子节点的编号组成。
+	 * @type {Map<string, ast_node_t>}
+	 */
+	nodes = new Map()
+	/**
+	 * 节点的编号。
+	 * @type {WeakMap<ast_node_t, number>}
+	 */
+	ids = new WeakMap()
+	/**
+	 * 下一个编号。
+	 * @type {number}
+	 */
+	next_id = 0
 
-		// 不同级运算符的优先级
-		if (precedence_t[operator] < precedence_t[parent.operator])
-			return `(${operand.toString()})`
+	/**
+	 * 获取节点的编号，初次遇到时分配。
+	 * @param {ast_node_t} node 节点。
+	 * @returns {number} 编号。
+	 */
+	idOf(node) {
+		let id = this.ids.get(node)
+		if (id === undefined) this.ids.set(node, id = this.next_id++)
+		return id
+	}
 
-		return operand.toString()
+	/**
+	 * 获取数字字面量节点。
+	 * @param {string} literal 书写形式，保留前导零。
+	 * @param {string} [source] 字面量所取自的基数，见 number_node_t。
+	 * @param {number} [radix=10] 字面量的进制。
+	 * @returns {number_node_t} 节点。
+	 */
+	number(literal, source, radix = 10) {
+		const key = `#${radix === 10 ? '' : `${radix}:`}${literal}${source === undefined ? '' : `@${source}`}`
+		let node = this.nodes.get(key)
+		if (!node) this.nodes.set(key, node = new number_node_t(literal, source, radix))
+		return node
 	}
 
-	calculateImpl() {
-		const [operand1, operand2] = this.children
-		switch (this.operator) {
-			case '+':
-				return operand1.calculate().add(operand2.calculate())
-			case '-':
-				return operand1.calculate().sub(operand2.calculate())
-			case '*':
-				return operand1.calculate().mul(operand2.calculate())
-			case '/':
-				return operand1.calculate().div(operand2.calculate())
-			case '%':
-				return operand1.calculate().mod(operand2.calculate())
-			case '^':
-				return operand1.calculate().pow(operand2.calculate())
-			case 'u-':
-				return operand1.calculate().neg()
-			default:
-				throw new Error(`Unknown operator: ${this.operator}`)
-		}
+	/**
+	 * 获取运算符节点。
+	 * @param {string} operator 运算符。
+	 * @param {ast_node_t[]} children 子节点数组。
+	 * @returns {ast_node_t} 节点，构造函数改写一元负号时可能不是运算符为 operator 的节点。
+	 */
+	operator(operator, children) {
+		let key = operator
+		for (const child of children) key += `,${this.idOf(child)}`
+		let node = this.nodes.get(key)
+		if (!node) this.nodes.set(key, node = new operator_node_t(operator, children))
+		return node
 	}
 
-	toJSON() {
-		return {
-			operator: this.operator,
-			children: this.children.map(child => child.toJSON()),
-		}
+	/**
+	 * 仓库中的节点数。
+	 * @type {number}
+	 */
+	get size() {
+		return this.nodes.size
 	}
 }
 
 /**
- * 向字典中添加键值对。
+ * 向字典中添加键值对，键已存在时保留表达式较短者，替换时原节点的所有引用随之更新。
+ * 已是其他节点子树的节点不会被原地替换为一元负号：构造函数会把作为操作数的一元负号改写掉（如 a+(-b) 改写为 a-b），
+ * 原地替换则会绕过这一改写，使祖先写出 `a+-b` 之类无法被解析回同一表达式的字符串，此时只替换字典中的项。
  * @param {Map<string, ast_node_t>} dict 字典。
- * @param {bigfloat|string} key 键。
+ * @param {bigfloat|string} key 键，bigfloat 以 formatRational 的规范形式作为键。
  * @param {ast_node_t} value 值（AST 节点）。
  */
 export function add(dict, key, value) {
-	key = String(key)
-	if (!dict.has(key))
+	key = Object(key) instanceof String ? key : formatRational(key)
+	const existing = dict.get(key)
+	if (!existing)
 		dict.set(key, value)
-	else if (dict.get(key).toString().length > value.toString().length)
-		dict.get(key).replace(value)
+	else if (existing.getMetrics().string_length > value.getMetrics().string_length)
+		if (existing.has_parent && value.operator === 'u-') dict.set(key, value)
+		else existing.replace(value)
+}
+
+/**
+ * 向字典中添加运算符作用于 children 所得的表达式；字典中已有不长于它的表达式时不创建节点。
+ * @param {Map<string, ast_node_t>} dict 字典。
+ * @param {bigfloat} key 表达式的值。
+ * @param {string} operator 运算符。
+ * @param {ast_node_t[]} children 子节点数组。
+ * @param {node_store_t} store 节点仓库。
+ */
+function addOperator(dict, key, operator, children, store) {
+	key = formatRational(key)
+	const existing = dict.get(key)
+	// 子节点含一元负号时构造函数会改写表达式，只能创建节点后比较
+	if (existing && !children.some(child => child.operator === 'u-') &&
+		existing.getMetrics().string_length <= measureOperator(operator, children).string_length) return
+	add(dict, key, store.operator(operator, children))
+}
+
+/**
+ * 将一元运算符作用于字典中的每一项，结果直接加入字典。
+ * @param {Map<string, ast_node_t>} dict 字典。
+ * @param {bigfloat} max_value 最大值，用于剪枝。
+ * @param {Iterable<string>} [operators=default_operators] 允许使用的运算符。
+ * @param {node_store_t} [store] 节点仓库，省略时使用新建的仓库。
+ * @param {number} [radix=10] 字典中数字字面量的进制，作为运算上下文传给运算符。
+ * @returns {Map<string, ast_node_t>} 传入的字典。
+ */
+export function applyUnaryOperators(dict, max_value, operators = default_operators, store = new node_store_t(), radix = 10) {
+	const unary_operators = [...operators].map(name => operator_registry.get(name)).filter(spec => spec?.arity === 1)
+	if (!unary_operators.length) return dict
+	const context = { max_value, radix }
+
+	for (const val of [...dict.values()]) {
+		const key = val.calculate()
+		for (const { name, applicable, calculate } of unary_operators) try {
+			if (applicable(key, context))
+				addOperator(dict, calculate(key, context), name, [val], store)
+		} catch { } // 忽略无法计算的情况
+	}
+
+	return dict
 }
 
 /**
  * 合并两个字典，生成包含所有可能运算结果的新字典。
+ * 只为比字典中已有表达式更短的组合创建节点，节点经由仓库创建，相同的子树只存一份。
  * @param {Map<string, ast_node_t>} dict_1 第一个字典。
  * @param {Map<string, ast_node_t>} dict_2 第二个字典。
  * @param {bigfloat} max_value 最大值，用于剪枝。
+ * @param {Iterable<string>} [operators=default_operators] 允许使用的运算符。
+ * @param {number} [max_denominator=0] 除法结果为分数时，记录约分后分母不超过此值的结果。
+ * @param {node_store_t} [store] 节点仓库，省略时使用新建的仓库。
+ * @param {number} [radix=10] 字典中数字字面量的进制，作为运算上下文传给运算符。
  * @returns {Map<string, ast_node_t>} 合并后的字典。
  */
-export function mergeDictionary(dict_1, dict_2, max_value) {
+export function mergeDictionary(dict_1, dict_2, max_value, operators = default_operators, max_denominator = 0, store = new node_store_t(), radix = 10) {
 	const result = new Map()
-	const max_value_str = String(max_value)
-
-	for (const [key_str1, val1] of dict_1) {
-		const key1 = bigfloat(key_str1)
-		for (const [key_str2, val2] of dict_2) {
-			const key2 = bigfloat(key_str2)
-
-			// 加法
-			add(result, key1.add(key2), new operator_node_t('+', [val1, val2]))
-			// 乘法
-			add(result, key1.mul(key2), new operator_node_t('*', [val1, val2]))
-			if (!key2.equals(0)) {
-				// 减法
-				add(result, key1.sub(key2), new operator_node_t('-', [val1, val2]))
-				// 取模
-				const mod = key1.mod(key2)
-				add(result, mod, new operator_node_t('%', [val1, val2]))
-				// 除法 (如果可以整除才添加)
-				if (mod.equals(0))
-					add(result, key1.div(key2), new operator_node_t('/', [val1, val2]))
-			}
-			// 幂运算，快速剪枝
-			try {
-				if (
-					key1.abs().greaterThan(max_value_str.length) ||
-					key2.abs().greaterThan(max_value_str.length)
-				)
-					continue
-
-				add(result, key1.pow(key2), new operator_node_t('^', [val1, val2]))
+	const context = { max_value, max_denominator, radix }
+	operators = new Set(operators)
+	// 按注册顺序枚举，保证等长表达式的取舍稳定
+	const binary_operators = [...operator_registry.values()].filter(spec => spec.arity === 2 && operators.has(spec.name))
+	// 字典项的值与键相同，取缓存的值以免反复解析键
+	const entries_2 = [...dict_2.values()].map(val => [val.calculate(), val])
+
+	for (const val1 of dict_1.values()) {
+		const key1 = val1.calculate()
+		for (const [key2, val2] of entries_2)
+			for (const { name, applicable, calculate } of binary_operators) try {
+				if (applicable(key1, key2, context))
+					addOperator(result, calculate(key1, key2, context), name, [val1, val2], store)
 			} catch { } // 忽略超出范围的错误
-		}
 	}
 
-	return result
+	return applyUnaryOperators(result, max_value, operators, store, radix)
 }
 
 export function serializeMap(map) {
@@ -1,17 +1,29 @@
+import { bigfloat } from '@steve02081504/bigfloat'
 import {
-	number_node_t,
+	node_store_t,
+	operator_node_t,
 	add,
-	mergeDictionary
+	measureOperator,
+	mergeDictionary,
+	applyUnaryOperators,
+	default_operators,
 } from './dict_ast.mjs'
+import { operator_registry } from './operators.mjs'
+import { formatRational, isInteger, parseDigits } from './rational.mjs'
 
 /**
  * 递归生成数字的所有可能组合的字典。
  * @param {string} n 数字字符串。
  * @param {import('@steve02081504/bigfloat').bigfloat} max_value 最大值限制。
  * @param {Map<string, Map<string, import('./dict_ast.mjs').ast_node_t>>} [cache] 子串结果缓存。
+ * @param {Iterable<string>} [operators=default_operators] 允许使用的运算符。
+ * @param {number} [max_denominator=0] 记录的分数约分后分母的上限，见 mergeDictionary。
+ * @param {node_store_t} [store] 节点仓库，省略时使用新建的仓库。
+ * @param {string} [source] 为生成的数字字面量标注的来源基数，见 number_node_t；缓存中已有的子串字典保留其原有的标注。
+ * @param {number} [radix=10] n 的进制。
  * @returns {Map<string, import('./dict_ast.mjs').ast_node_t>} 包含数字 n 所有可能组合的字典。
  */
-export function generateRecursive(n, max_value, cache = new Map()) {
+export function generateRecursive(n, max_value, cache = new Map(), operators = default_operators, max_denominator = 0, store = new node_store_t(), source, radix = 10) {
 	if (cache.has(n)) return cache.get(n)
 	let result = new Map()
 
@@ -21,15 +33,295 @@ export function generateRecursive(n, max_value, cache = new Map()) {
 			const right = n.slice(i)
 			if (!left || !right) continue
 			const current = mergeDictionary(
-				generateRecursive(left, max_value, cache),
-				generateRecursive(right, max_value, cache),
+				generateRecursive(left, max_value, cache, operators, max_denominator, store, source, radix),
+				generateRecursive(right, max_value, cache, operators, max_denominator, store, source, radix),
 				max_value,
+				operators,
+				max_denominator,
+				store,
+				radix,
 			)
 			for (const [k, v] of current)
 				add(result, k, v)
 		}
 
-	add(result, n, new number_node_t(n))
+	// 键统一为数值的规范形式，字面量本身保留前导零
+	const literal = applyUnaryOperators(new Map([[String(parseDigits(n, radix)), store.number(n, source, radix)]]), max_value, operators, store, radix)
+	for (const [k, v] of literal)
+		add(result, k, v)
 	cache.set(n, result)
 	return result
 }
+
+/**
+ * 生成数字字符串中所有数字的不重复排列。
+ * @param {string} digits 已排序的数字字符串。
+ * @returns {string[]} 所有排列。
+ */
+function permutations(digits) {
+	if (digits.length <= 1) return [digits]
+	const result = []
+	for (let i = 0; i < digits.length; i++) {
+		if (i && digits[i] === digits[i - 1]) continue
+		for (const rest of permutations(digits.slice(0, i) + digits.slice(i + 1)))
+			result.push(digits[i] + rest)
+	}
+	return result
+}
+
+/**
+ * 枚举多重集的所有非空真子集。
+ * @template T
+ * @param {T[]} items 已排序的元素数组，相同的元素相邻。
+ * @returns {[T[], T[]][]} 子集与其补集组成的数组，均保持原有顺序。
+ */
+function splitMultiset(items) {
+	const groups = []
+	for (const item of items)
+		if (groups.at(-1)?.item === item) groups.at(-1).count++
+		else groups.push({ item, count: 1 })
+
+	const result = []
+	const walk = (index, left, right) => {
+		if (index === groups.length) {
+			if (left.length && right.length) result.push([left, right])
+			return
+		}
+		const { item, count } = groups[index]
+		for (let i = 0; i <= count; i++)
+			walk(index + 1, [...left, ...Array(i).fill(item)], [...right, ...Array(count - i).fill(item)])
+	}
+	walk(0, [], [])
+	return result
+}
+
+/**
+ * 递归生成数字的所有可能组合的字典，每个数字恰好使用一次但顺序任意。
+ * @param {string} n 数字字符串。
+ * @param {import('@steve02081504/bigfloat').bigfloat} max_value 最大值限制。
+ * @param {Map<string, Map<string, import('./dict_ast.mjs').ast_node_t>>} [cache] 子多重集结果缓存。
+ * @param {Iterable<string>} [operators=default_operators] 允许使用的运算符。
+ * @param {number} [max_denominator=0] 记录的分数约分后分母的上限，见 mergeDictionary。
+ * @param {node_store_t} [store] 节点仓库，省略时使用新建的仓库。
+ * @param {number} [radix=10] n 的进制。
+ * @returns {Map<string, import('./dict_ast.mjs').ast_node_t>} 包含 n 中数字所有可能组合的字典。
+ */
+export function generateUnordered(n, max_value, cache = new Map(), operators = default_operators, max_denominator = 0, store = new node_store_t(), radix = 10) {
+	n = [...n].sort().join('')
+	if (cache.has(n)) return cache.get(n)
+	const result = new Map()
+
+	for (const [left, right] of splitMultiset([...n]).map(pair => pair.map(digits => digits.join('')))) {
+		const current = mergeDictionary(
+			generateUnordered(left, max_value, cache, operators, max_denominator, store, radix),
+			generateUnordered(right, max_value, cache, operators, max_denominator, store, radix),
+			max_value,
+			operators,
+			max_denominator,
+			store,
+			radix,
+		)
+		for (const [k, v] of current)
+			add(result, k, v)
+	}
+
+	for (const permutation of permutations(n)) {
+		const literal = applyUnaryOperators(new Map([[String(parseDigits(permutation, radix)), store.number(permutation, undefined, radix)]]), max_value, operators, store, radix)
+		for (const [k, v] of literal)
+			add(result, k, v)
+	}
+	cache.set(n, result)
+	return result
+}
+
+/**
+ * 递归生成来源数字的所有可能组合的字典，每个来源数字至多使用一次，顺序任意，可以只用其中一部分。
+ * @param {string[]} sources 来源数字的字面量，见 parseSources。
+ * @param {import('@steve02081504/bigfloat').bigfloat} max_value 最大值限制。
+ * @param {Map<string, Map<string, import('./dict_ast.mjs').ast_node_t>>} [cache] 子多重集结果缓存，每一项恰好用尽对应子多重集中的来源数字。
+ * @param {Iterable<string>} [operators=default_operators] 允许使用的运算符。
+ * @param {number} [max_denominator=0] 记录的分数约分后分母的上限，见 mergeDictionary。
+ * @param {node_store_t} [store] 节点仓库，省略时使用新建的仓库。
+ * @param {number} [radix=10] 来源数字的进制。
+ * @returns {Map<string, import('./dict_ast.mjs').ast_node_t>} 包含来源数字所有子多重集的所有可能组合的字典。
+ */
+export function generateNumbers(sources, max_value, cache = new Map(), operators = default_operators, max_denominator = 0, store = new node_store_t(), radix = 10) {
+	const generate = (items) => {
+		const key = items.join(',')
+		if (cache.has(key)) return cache.get(key)
+		const result = new Map()
+		for (const [left, right] of splitMultiset(items)) {
+			const current = mergeDictionary(generate(left), generate(right), max_value, operators, max_denominator, store, radix)
+			for (const [k, v] of current)
+				add(result, k, v)
+		}
+		if (items.length === 1) {
+			const literal = applyUnaryOperators(new Map([[String(parseDigits(items[0], radix)), store.number(items[0], undefined, radix)]]), max_value, operators, store, radix)
+			for (const [k, v] of literal)
+				add(result, k, v)
+		}
+		cache.set(key, result)
+		return result
+	}
+	const sorted = [...sources].sort((a, b) => a.length - b.length || (a < b ? -1 : a > b ? 1 : 0))
+	generate(sorted)
+
+	// 递归过程已生成每个非空子多重集的字典，合并后即为至多使用一次的全部组合；
+	// 不同子多重集的表达式用到的来源数字不同，不能像 add 那样原地替换节点，否则会改变引用它的表达式
+	const result = new Map()
+	for (const dict of cache.values())
+		for (const [k, v] of dict) {
+			const existing = result.get(k)
+			if (!existing || existing.getMetrics().string_length > v.getMetrics().string_length) result.set(k, v)
+		}
+	return result
+}
+
+/**
+ * 字典构建的进度。
+ * @typedef {object} build_progress_t
+ * @property {number} done 已完成的子串数。
+ * @property {number} total 需要生成的子串总数。
+ * @property {string} substring 刚完成的子串。
+ * @property {number} entries 该子串字典的项数。
+ */
+
+/**
+ * 只保留字典中代价最小的 max_entries 项：表达式越短越好，等长时节点数越少越好，再相同时保持原有顺序。
+ * @param {Map<string, import('./dict_ast.mjs').ast_node_t>} dict 字典。
+ * @param {number} max_entries 项数上限。
+ * @returns {Map<string, import('./dict_ast.mjs').ast_node_t>} 截断后的字典，未超出上限时为原字典。
+ */
+function keepCheapest(dict, max_entries) {
+	if (dict.size <= max_entries) return dict
+	const cost = (node) => node.getMetrics()
+	const entries = [...dict].sort(([, a], [, b]) =>
+		cost(a).string_length - cost(b).string_length || cost(a).node_count - cost(b).node_count)
+	return new Map(entries.slice(0, max_entries))
+}
+
+/**
+ * 分层生成数字的所有可能组合的字典：按子串长度由短到长逐层生成，每个子串合并其所有左右拆分。
+ * 与 generateRecursive 的合并顺序相同，但可以限制每个子串字典的项数与值的范围，使长基数的构建时间可控，并报告构建进度。
+ * @param {string} n 数字字符串。
+ * @param {object} [options] 选项。
+ * @param {bigfloat | string} [options.max_value=n.repeat(2)] 最大值限制，用于剪枝，同 generateRecursive；默认值按 n 的进制解读。
+ * @param {bigfloat | string} [options.bound] 值的范围，绝对值超出的结果不予记录，省略时不限制。
+ * @param {number} [options.max_entries=Infinity] 每个子串字典的项数上限，超出时只保留代价最小的项。
+ * @param {Iterable<string>} [options.operators=default_operators] 允许使用的运算符。
+ * @param {number} [options.max_denominator=0] 记录的分数约分后分母的上限，见 mergeDictionary。
+ * @param {node_store_t} [options.store] 节点仓库，省略时使用新建的仓库。
+ * @param {Map<string, Map<string, import('./dict_ast.mjs').ast_node_t>>} [options.cache] 子串字典缓存，生成的各子串字典都存入其中，供 findCombination 按需扩展。
+ * @param {string} [options.source] 为生成的数字字面量标注的来源基数，同 generateRecursive。
+ * @param {number} [options.radix=10] n 的进制。
+ * @param {(progress: build_progress_t) => void} [options.onProgress] 每生成一个子串的字典时调用。
+ * @returns {Map<string, import('./dict_ast.mjs').ast_node_t>} 包含数字 n 所有可能组合的字典。
+ */
+export function generateTiered(n, {
+	max_value,
+	bound,
+	max_entries = Infinity,
+	operators = default_operators,
+	max_denominator = 0,
+	store = new node_store_t(),
+	cache = new Map(),
+	source,
+	radix = 10,
+	onProgress,
+} = {}) {
+	max_value ??= String(parseDigits(n.repeat(2), radix))
+	if (bound !== undefined) bound = bigfloat(bound)
+	const substrings = []
+	for (let length = 1; length <= n.length; length++)
+		for (let start = 0; start + length <= n.length; start++) {
+			const substring = n.slice(start, start + length)
+			if (!cache.has(substring) && !substrings.includes(substring)) substrings.push(substring)
+		}
+
+	for (const [index, substring] of substrings.entries()) {
+		const result = new Map()
+		// 有项数上限时大部分组合随即被丢弃，每个子串使用单独的仓库，以免共用的仓库留住它们
+		const merge_store = max_entries < Infinity ? new node_store_t() : store
+		for (let i = 1; i < substring.length; i++) {
+			const current = mergeDictionary(cache.get(substring.slice(0, i)), cache.get(substring.slice(i)), max_value, operators, max_denominator, merge_store, radix)
+			for (const [k, v] of current)
+				if (!bound?.lessThan(v.calculate().abs())) add(result, k, v)
+		}
+		// 键统一为数值的规范形式，字面量本身保留前导零
+		const literal = applyUnaryOperators(new Map([[String(parseDigits(substring, radix)), store.number(substring, source, radix)]]), max_value, operators, store, radix)
+		for (const [k, v] of literal)
+			add(result, k, v)
+		cache.set(substring, keepCheapest(result, max_entries))
+		onProgress?.({ done: index + 1, total: substrings.length, substring, entries: cache.get(substring).size })
+	}
+	return cache.get(n)
+}
+
+/**
+ * 内置运算符的反解：已知结果与左操作数，求右操作数。
+ * @type {Record<string, (target: bigfloat, left: bigfloat) => bigfloat | undefined>}
+ */
+const builtin_inverses = {
+	'+': (target, left) => target.sub(left),
+	'-': (target, left) => left.sub(target),
+	'*': (target, left) => left.equals(0) ? undefined : target.div(left),
+	'/': (target, left) => target.equals(0) ? undefined : left.div(target),
+	'^': (target, left) => {
+		if (!isInteger(target) || !isInteger(left) || left.abs().lessThan(2)) return
+		let power = left
+		let exponent = 1n
+		for (; power.abs().lessThan(target.abs()); exponent++) power = power.mul(left)
+		if (power.equals(target)) return bigfloat(exponent)
+	},
+}
+
+/**
+ * 按需扩展字典：在 generateTiered 生成的子串字典之间查找值为 target 的表达式，无需枚举全部组合。
+ * 依次尝试子串字典中的现成项（仅 reuse 模式）与 n 的每个左右拆分上的 `左项 运算符 右项`，右项由反解求出后查表。
+ * 用于找回因项数上限而未被记录的组合。
+ * @param {string} n 数字字符串。
+ * @param {bigfloat} target 目标值。
+ * @param {Map<string, Map<string, import('./dict_ast.mjs').ast_node_t>>} cache generateTiered 生成的子串字典。
+ * @param {object} [options] 选项。
+ * @param {Iterable<string>} [options.operators=default_operators] 允许使用的运算符。
+ * @param {boolean} [options.whole=false] 是否要求用尽 n 的全部数字，为假时也接受子串字典中的现成项。
+ * @param {number} [options.radix=10] n 的进制，作为运算上下文传给反解函数。
+ * @returns {import('./dict_ast.mjs').ast_node_t | undefined} 找到的最短表达式，找不到时为 undefined。
+ */
+export function findCombination(n, target, cache, { operators = default_operators, whole = false, radix = 10 } = {}) {
+	const key = formatRational(target)
+	let best
+	let best_length = Infinity
+	const consider = (node, length = node.getMetrics().string_length) => {
+		if (length < best_length) {
+			best = node
+			best_length = length
+		}
+	}
+	if (!whole)
+		for (const dict of cache.values())
+			if (dict.has(key)) consider(dict.get(key))
+
+	const binary_operators = [...operators]
+		.map(name => operator_registry.get(name))
+		.filter(spec => spec?.arity === 2 && (spec.inverse || builtin_inverses[spec.name]))
+	for (let i = 1; i < n.length; i++) {
+		const left_dict = cache.get(n.slice(0, i))
+		const right_dict = cache.get(n.slice(i))
+		if (!left_dict || !right_dict) continue
+		for (const left of left_dict.values()) {
+			const left_value = left.calculate()
+			for (const { name, inverse = builtin_inverses[name] } of binary_operators) {
+				let right_value
+				try { right_value = inverse(target, left_value, { radix }) } catch { continue }
+				const right = right_value && right_dict.get(formatRational(right_value))
+				if (!right) continue
+				const length = measureOperator(name, [left, right]).string_length
+				if (length >= best_length) continue
+				const node = new operator_node_t(name, [left, right])
+				try { if (node.calculate().equals(target)) consider(node, length) } catch { }
+			}
+		}
+	}
+	return best
+}
@@ -0,0 +1,219 @@
+import { number_node_t, operator_node_t } from './dict_ast.mjs'
+import { digitClass, formatDigits, parseDigits } from './rational.mjs'
+
+/**
+ * 基数数字的使用模式枚举。
+ * @enum {string}
+ */
+export const digit_mode_t = {
+	/** 字典项可任意重复使用，每个数字字面量须为基数的连续子串 */
+	reuse: 'reuse',
+	/** 基数的每一位恰好使用一次，且保持原有顺序 */
+	ordered: 'ordered',
+	/** 基数的每一位恰好使用一次，顺序任意 */
+	unordered: 'unordered',
+	/** 基数为一组来源数字（数字游戏），每个来源数字作为整体至多使用一次，顺序任意 */
+	numbers: 'numbers',
+}
+
+/**
+ * 进制前缀，给出的基数带有与进制相符的前缀时去掉它。
+ * @type {Record<number, string>}
+ */
+const radix_prefixes = { 2: '0b', 8: '0o', 16: '0x' }
+
+/**
+ * 整理基数的数字：十进制下去掉所有非数字字符；其他进制下去掉与进制相符的前缀（如 16 进制的 `0x`）与字母、数字以外的分隔字符，
+ * 字母统一为大写。
+ * @param {string | number | bigint} base 基数，数字与 bigint 以十进制书写，按其字面的数字解读。
+ * @param {number} [radix=10] 进制。
+ * @returns {string} 数字字符串。
+ * @throws {Error} 如果其他进制下出现了不属于该进制的字母或数字。
+ */
+export function normalizeDigits(base, radix = 10) {
+	let str = String(base)
+	if (radix === 10) return str.replace(/\D/g, '')
+	const prefix = radix_prefixes[radix]
+	if (prefix && str.trim().toLowerCase().startsWith(prefix)) str = str.trim().slice(prefix.length)
+	str = str.replace(/[^\dA-Za-z]/g, '').toUpperCase()
+	const illegal = str.match(new RegExp(`[^${digitClass(radix)}]`))?.[0]
+	if (illegal) throw new Error(`${illegal} 不是 ${radix} 进制的数字：${base}`)
+	return str
+}
+
+/**
+ * 解析 numbers 模式的来源数字。
+ * @param {Iterable<string | number | bigint> | string} sources 来源数字的数组，或以逗号、空白分隔的字符串。
+ * @param {number} [radix=10] 进制，字符串形式的来源数字按此进制解读。
+ * @returns {string[]} 来源数字在该进制下的规范字面量（去掉前导零，字母大写），保持给出的顺序。
+ * @throws {Error} 如果没有来源数字或其中有非负整数以外的值。
+ */
+export function parseSources(sources, radix = 10) {
+	const list = Object(sources) instanceof String ? sources.split(/[\s,]+/).filter(Boolean) : [...sources]
+	if (!list.length) throw new Error('来源数字不能为空')
+	return list.map(source => {
+		// 数字与 bigint 按其值解读，不受进制影响
+		const source_radix = Object(source) instanceof String ? radix : 10
+		const str = String(source).trim()
+		if (!new RegExp(`^[${digitClass(source_radix)}]+$`).test(str)) throw new Error(`来源数字须为非负整数：${source}`)
+		return formatDigits(parseDigits(str, source_radix), radix)
+	})
+}
+
+/**
+ * 解析一个或多个基数。
+ * @param {string | number | bigint | (string | number | bigint)[]} base 基数，数组表示多个基数。
+ * @param {number} [radix=10] 进制，见 normalizeDigits。
+ * @returns {string[]} 各基数经 normalizeDigits 整理后的数字字符串，略去空串与重复的基数，保持给出的顺序。
+ */
+export function parseBases(base, radix = 10) {
+	return [...new Set((Array.isArray(base) ? base : [base]).map(item => normalizeDigits(item, radix)).filter(Boolean))]
+}
+
+/**
+ * 为 AST 中未标注来源的数字字面量标注所取自的基数，取第一个包含它的基数。
+ * @param {import('./dict_ast.mjs').ast_node_t} node AST 节点。
+ * @param {string[]} bases 基数数组。
+ * @returns {import('./dict_ast.mjs').ast_node_t} 标注后的 AST，不修改传入的节点；没有需要标注的字面量时为原节点。
+ */
+export function tagSources(node, bases) {
+	const memo = new Map()
+	const visit = (node) => {
+		if (memo.has(node)) return memo.get(node)
+		let result = node
+		if (node instanceof number_node_t) {
+			const source = node.source ?? bases.find(base => base.includes(node.literal))
+			if (source !== node.source) result = new number_node_t(node.literal, source, node.radix)
+		}
+		else {
+			const children = node.children.map(visit)
+			if (children.some((child, index) => child !== node.children[index]))
+				result = new operator_node_t(node.operator, children)
+		}
+		memo.set(node, result)
+		return result
+	}
+	return visit(node)
+}
+
+/**
+ * 按从左到右的书写顺序收集 AST 中的数字字面量。
+ * @param {import('./dict_ast.mjs').ast_node_t} node AST 节点。
+ * @param {string[]} [result] 收集结果。
+ * @returns {string[]} 数字字面量数组。
+ */
+export function collectLiterals(node, result = []) {
+	if (node instanceof number_node_t) result.push(node.literal)
+	else for (const child of node.children) collectLiterals(child, result)
+	return result
+}
+
+/**
+ * 按从左到右的书写顺序收集 AST 中的数字字面量节点。
+ * @param {import('./dict_ast.mjs').ast_node_t} node AST 节点。
+ * @param {number_node_t[]} [result] 收集结果。
+ * @returns {number_node_t[]} 数字字面量节点数组。
+ */
+function collectNumbers(node, result = []) {
+	if (node instanceof number_node_t) result.push(node)
+	else for (const child of node.children) collectNumbers(child, result)
+	return result
+}
+
+/**
+ * 统计字符串中每个数字出现的次数。
+ * @param {string} str 数字字符串。
+ * @returns {Record<string, number>} 数字到出现次数的映射，按数字排序。
+ */
+export function countDigits(str) {
+	const result = {}
+	for (const digit of [...str].sort())
+		result[digit] = (result[digit] ?? 0) + 1
+	return result
+}
+
+/**
+ * 统计每个数字字面量出现的次数。
+ * @param {string[]} literals 数字字面量数组。
+ * @returns {Record<string, number>} 字面量到出现次数的映射，按数值排序。
+ */
+export function countLiterals(literals) {
+	const result = {}
+	for (const literal of [...literals].sort((a, b) => a.length - b.length || (a < b ? -1 : a > b ? 1 : 0)))
+		result[literal] = (result[literal] ?? 0) + 1
+	return result
+}
+
+/**
+ * 检查 AST 对基数数字的使用是否符合给定模式。
+ * numbers 模式下基数为逗号分隔的来源数字，`consumed` 与 `available` 按字面量而非单个数字计数。
+ * reuse 模式下可以给出多个基数：标注了来源的字面量须为该基数的连续子串，未标注的字面量只须为其中任一基数的连续子串。
+ * @param {string | string[]} base 基数字符串，reuse 模式下可以是多个基数的数组。
+ * @param {import('./dict_ast.mjs').ast_node_t} node AST 节点。
+ * @param {digit_mode_t} [mode=digit_mode_t.reuse] 数字使用模式。
+ * @param {number} [radix=10] 基数的进制，字面量须以同一进制书写。
+ * @returns {{
+ * 	mode: digit_mode_t,
+ * 	base: string,
+ * 	literals: string[],
+ * 	consumed: Record<string, number>,
+ * 	available: Record<string, number>,
+ * 	violations: { type: string, message: string, [key: string]: any }[],
+ * 	valid: boolean,
+ * }} 数字使用报告。
+ */
+export function checkDigitUsage(base, node, mode = digit_mode_t.reuse, radix = 10) {
+	const bases = mode === digit_mode_t.numbers ? undefined : parseBases(base, radix)
+	if (bases?.length > 1 && mode !== digit_mode_t.reuse)
+		throw new Error(`多个基数只能用于 reuse 模式，而非 ${mode} 模式`)
+	if (bases) base = bases.join(',')
+	const literals = collectLiterals(node)
+	const used = literals.join('')
+	let consumed = countDigits(used)
+	let available = countDigits(bases ? bases.join('') : base)
+	const violations = []
+	// 字面量须以基数的进制书写，否则同样的数字串代表不同的值
+	const literal_pattern = new RegExp(`^[${digitClass(radix)}]+$`)
+	for (const { literal, value } of collectNumbers(node))
+		if (!literal_pattern.test(literal) || parseDigits(literal, radix) !== value)
+			violations.push({ type: 'illegal-radix', literal, message: `${literal} 不是以 ${radix} 进制书写的字面量` })
+
+	switch (mode) {
+		case digit_mode_t.reuse:
+			for (const { literal, source } of collectNumbers(node))
+				if (source !== undefined && !bases.includes(source))
+					violations.push({ type: 'unknown-source', literal, source, message: `${literal} 标注的来源 ${source} 不是基数之一` })
+				else if (source !== undefined && !source.includes(literal))
+					violations.push({ type: 'illegal-literal', literal, source, message: `${literal} 不是 ${source} 的连续子串` })
+				else if (!bases.some(item => item.includes(literal)))
+					violations.push({ type: 'illegal-literal', literal, message: `${literal} 不是 ${bases.join(' 或 ')} 的连续子串` })
+			break
+		case digit_mode_t.unordered:
+			for (const digit of new Set([...Object.keys(available), ...Object.keys(consumed)])) {
+				const expected = available[digit] ?? 0
+				const actual = consumed[digit] ?? 0
+				if (expected !== actual)
+					violations.push({ type: 'digit-count', digit, expected, actual, message: `数字 ${digit} 应使用 ${expected} 次，实际使用 ${actual} 次` })
+			}
+			break
+		case digit_mode_t.ordered:
+			if (used !== base)
+				violations.push({ type: 'digit-order', expected: base, actual: used, message: `数字应按 ${base} 的顺序各使用一次，实际为 ${used}` })
+			break
+		case digit_mode_t.numbers:
+			consumed = countLiterals(literals)
+			available = countLiterals(parseSources(base, radix))
+			for (const [literal, actual] of Object.entries(consumed)) {
+				const expected = available[literal] ?? 0
+				if (!expected)
+					violations.push({ type: 'illegal-literal', literal, message: `${literal} 不是来源数字 ${base} 之一` })
+				else if (actual > expected)
+					violations.push({ type: 'literal-count', literal, expected, actual, message: `来源数字 ${literal} 至多使用 ${expected} 次，实际使用 ${actual} 次` })
+			}
+			break
+		default:
+			throw new Error(`未知的数字使用模式：${mode}`)
+	}
+
+	return { mode, base, literals, consumed, available, violations, valid: !violations.length }
+}
@@ -0,0 +1,80 @@
+/**
+ * 搜索因取消或预算耗尽而中止时抛出的错误。
+ * @class
+ * @extends Error
+ */
+export class abort_error_t extends Error {
+	/**
+	 * 构造函数。
+	 * @param {string} message 错误信息。
+	 * @param {'abort'|'timeout'|'max_nodes'} reason 中止原因：取消信号、超时或节点预算耗尽。
+	 */
+	constructor(message, reason) {
+		super(message)
+		this.name = 'abort_error_t'
+		/**
+		 * 中止原因。
+		 * @type {'abort'|'timeout'|'max_nodes'}
+		 */
+		this.reason = reason
+	}
+}
+
+/**
+ * 表达式字符串无法解析时抛出的错误。
+ * @class
+ * @extends Error
+ */
+export class parse_error_t extends Error {
+	/**
+	 * 构造函数。
+	 * @param {string} message 错误信息。
+	 * @param {string} expression 被解析的表达式。
+	 * @param {number} position 出错位置，从 0 开始计的字符下标。
+	 */
+	constructor(message, expression, position) {
+		super(`${message}（位置 ${position}）\n${expression}\n${' '.repeat(position)}^`)
+		this.name = 'parse_error_t'
+		/**
+		 * 被解析的表达式。
+		 * @type {string}
+		 */
+		this.expression = expression
+		/**
+		 * 出错位置，从 0 开始计的字符下标。
+		 * @type {number}
+		 */
+		this.position = position
+	}
+}
+
+/**
+ * 因证明的结构约束（见 constraints.mjs）而无法证明目标时抛出的错误。
+ * @class
+ * @extends Error
+ */
+export class constraint_error_t extends Error {
+	/**
+	 * 构造函数。
+	 * @param {string} message 错误信息。
+	 * @param {string} constraint 使证明失败的约束名称，如 `max_nesting`。
+	 */
+	constructor(message, constraint) {
+		super(message)
+		this.name = 'constraint_error_t'
+		/**
+		 * 使证明失败的约束名称，有多个约束排除了候选时为排除最多的一个。
+		 * @type {string}
+		 */
+		this.constraint = constraint
+	}
+}
+
+/**
+ * 吞掉搜索策略中的普通失败，但让中止错误继续传播。
+ * @param {unknown} error 捕获的错误。
+ * @throws {abort_error_t} 如果错误是中止错误。
+ */
+export function rethrowAbort(error) {
+	if (error instanceof abort_error_t) throw error
+}
@@ -0,0 +1,207 @@
+/**
+ * 1000 以内的素数，用于试除与 Miller–Rabin 测试的底数。
+ * @type {bigint[]}
+ */
+const small_primes = []
+for (let n = 2; n < 1000; n++)
+	if (small_primes.every(p => n % Number(p))) small_primes.push(BigInt(n))
+
+/**
+ * 以这些数为底的 Miller–Rabin 测试对小于 3.3 × 10²⁴ 的整数是确定性的。
+ * @type {bigint[]}
+ */
+const witnesses = small_primes.slice(0, 13)
+
+/**
+ * 计算 base^exponent mod modulus。
+ * @param {bigint} base 底数。
+ * @param {bigint} exponent 非负指数。
+ * @param {bigint} modulus 模数。
+ * @returns {bigint} 结果。
+ */
+function modPow(base, exponent, modulus) {
+	let result = 1n
+	base %= modulus
+	for (; exponent; exponent >>= 1n) {
+		if (exponent & 1n) result = result * base % modulus
+		base = base * base % modulus
+	}
+	return result
+}
+
+/**
+ * 计算两个非负整数的最大公约数。
+ * @param {bigint} a 非负整数。
+ * @param {bigint} b 非负整数。
+ * @returns {bigint} 最大公约数。
+ */
+export function gcd(a, b) {
+	while (b) [a, b] = [b, a % b]
+	return a
+}
+
+/**
+ * 计算非负整数的整数 k 次方根。
+ * @param {bigint} n 非负整数。
+ * @param {bigint} k 次数。
+ * @returns {bigint} 不大于 n 的 k 次方根的最大整数。
+ */
+export function integerRoot(n, k) {
+	let low = 0n
+	let high = 1n << BigInt(Math.ceil(n.toString(2).length / Number(k))) + 1n
+	while (low < high) {
+		const middle = (low + high + 1n) / 2n
+		if (middle ** k <= n) low = middle
+		else high = middle - 1n
+	}
+	return low
+}
+
+/**
+ * 用 Miller–Rabin 测试判断整数是否为素数。
+ * 对小于 3.3 × 10²⁴ 的整数结果是确定的，更大的整数在极小的概率下会把合数误判为素数。
+ * @param {bigint | number | string} n 整数。
+ * @returns {boolean} 是否为素数。
+ */
+export function isProbablePrime(n) {
+	n = BigInt(n)
+	if (n < 2n) return false
+	for (const p of witnesses) {
+		if (n === p) return true
+		if (n % p === 0n) return false
+	}
+	// n - 1 = d * 2^s，d 为奇数
+	let d = n - 1n
+	let s = 0
+	while (!(d & 1n)) {
+		d >>= 1n
+		s++
+	}
+	witness: for (const a of witnesses) {
+		let x = modPow(a, d, n)
+		if (x === 1n || x === n - 1n) continue
+		for (let r = 1; r < s; r++) {
+			x = x * x % n
+			if (x === n - 1n) continue witness
+		}
+		return false
+	}
+	return true
+}
+
+/**
+ * 用 Pollard rho 算法（Brent 的变体）找出奇合数的一个非平凡因子。
+ * @param {bigint} n 奇合数。
+ * @param {import('./budget.mjs').search_budget_t} [budget] 搜索预算，分解耗时较长时定期检查。
+ * @returns {Promise<bigint>} n 的一个非平凡因子。
+ */
+async function pollardRho(n, budget) {
+	const batch = 128
+	for (let c = 1n; ; c++) {
+		const step = (x) => (x * x + c) % n
+		let y = 2n, x = y, saved = y
+		let product = 1n
+		let divisor = 1n
+		for (let length = 1; divisor === 1n; length *= 2) {
+			x = y
+			for (let i = 0; i < length; i++) y = step(y)
+			// 成批累乘差值，每批只求一次最大公约数
+			for (let done = 0; done < length && divisor === 1n; done += batch) {
+				saved = y
+				for (let i = 0; i < Math.min(batch, length - done); i++) {
+					y = step(y)
+					product = product * (x > y ? x - y : y - x) % n
+				}
+				divisor = gcd(product, n)
+			}
+			if (budget && length >= 1024) await budget.pause()
+		}
+		// 整批的乘积为 0 时逐步回退，找出具体的因子
+		if (divisor === n)
+			do {
+				saved = step(saved)
+				divisor = gcd(x > saved ? x - saved : saved - x, n)
+			} while (divisor === 1n)
+		if (divisor !== n) return divisor
+	}
+}
+
+/**
+ * 素因数分解的一项。
+ * @typedef {object} prime_power_t
+ * @property {bigint} prime 素数。
+ * @property {bigint} exponent 次数。
+ */
+
+/**
+ * 将整数分解质因数：先试除 1000 以内的素数，余下的部分用 Miller–Rabin 判断素性、用 Pollard rho 拆分。
+ * @param {bigint | number | string} n 整数，负数按其绝对值分解。
+ * @param {import('./budget.mjs').search_budget_t} [budget] 搜索预算，分解耗时较长时定期检查。
+ * @returns {Promise<prime_power_t[]>} 按素数从小到大排列的素因数分解，n 为 0 或 ±1 时为空数组。
+ * @throws {import('./errors.mjs').abort_error_t} 如果预算耗尽。
+ */
+export async function factorInteger(n, budget) {
+	n = BigInt(n)
+	if (n < 0n) n = -n
+	const counts = new Map()
+	const record = (prime) => counts.set(prime, (counts.get(prime) ?? 0n) + 1n)
+	if (n) for (const p of small_primes) {
+		if (p * p > n) break
+		while (n % p === 0n) {
+			n /= p
+			record(p)
+		}
+	}
+	const pending = n > 1n ? [n] : []
+	while (pending.length) {
+		const m = pending.pop()
+		if (isProbablePrime(m)) {
+			record(m)
+			continue
+		}
+		// Pollard rho 拆分素数的幂很慢，先检查完全幂
+		const bits = m.toString(2).length
+		const power = small_primes.find(k => k < bits && integerRoot(m, k) ** k === m)
+		if (power) pending.push(...Array(Number(power)).fill(integerRoot(m, power)))
+		else {
+			const divisor = await pollardRho(m, budget)
+			pending.push(divisor, m / divisor)
+		}
+	}
+	return [...counts]
+		.sort(([a], [b]) => a < b ? -1 : a > b ? 1 : 0)
+		.map(([prime, exponent]) => ({ prime, exponent }))
+}
+
+/**
+ * 将素因数分解分成乘积尽可能接近的两组。
+ * 约数不多时枚举全部约数，取不超过平方根的最大者；约数过多时把素因数从大到小依次放入乘积较小的一组。
+ * @param {prime_power_t[]} factors factorInteger 给出的素因数分解。
+ * @returns {[bigint, bigint]} 两组的乘积，较小者在前，素数或 1 时较小者为 1。
+ */
+export function balancedFactorPair(factors) {
+	const n = factors.reduce((product, { prime, exponent }) => product * prime ** exponent, 1n)
+	const divisor_count = factors.reduce((count, { exponent }) => count * (Number(exponent) + 1), 1)
+	let small = 1n
+	if (divisor_count <= 1 << 16) {
+		let divisors = [1n]
+		for (const { prime, exponent } of factors) {
+			const next = []
+			for (const divisor of divisors)
+				for (let power = 1n, e = 0n; e <= exponent; e++, power *= prime)
+					next.push(divisor * power)
+			divisors = next
+		}
+		for (const divisor of divisors)
+			if (divisor > small && divisor * divisor <= n) small = divisor
+	}
+	else {
+		let large = 1n
+		const primes = factors.flatMap(({ prime, exponent }) => Array(Number(exponent)).fill(prime)).reverse()
+		for (const prime of primes)
+			if (small < large) small *= prime
+			else large *= prime
+		if (small > large) [small, large] = [large, small]
+	}
+	return [small, n / small]
+}
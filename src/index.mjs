@@ -5,11 +5,61 @@ export {
 	number_node_t,
 	operator_node_t,
 	precedence_t,
+	default_operators,
 	add,
+	node_store_t,
+	measureOperator,
 	mergeDictionary,
+	applyUnaryOperators,
+	formatCalculationSteps,
+	convertRadix,
 	serializeMap,
 	deserializeMap,
 } from './dict_ast.mjs'
 
-export { generateRecursive } from './dict_generator.mjs'
+export {
+	operator_registry,
+	registerOperator,
+} from './operators.mjs'
+
+export {
+	strategy_registry,
+	registerStrategy,
+	resolveStrategies,
+	default_strategies,
+} from './strategies.mjs'
+
+export {
+	digit_mode_t,
+	collectLiterals,
+	countDigits,
+	countLiterals,
+	normalizeDigits,
+	parseSources,
+	parseBases,
+	tagSources,
+	checkDigitUsage,
+} from './digits.mjs'
+
+export {
+	cost_models,
+	resolveCostModel,
+	getCost,
+	searchOptimal,
+} from './optimize.mjs'
+
+export { createRandom } from './random.mjs'
+export { factorInteger, isProbablePrime, balancedFactorPair } from './factor.mjs'
+export { reducedFraction, isInteger, formatRational, parseRational, checkRadix, digitClass, parseDigits, formatDigits } from './rational.mjs'
+export { abort_error_t, parse_error_t, constraint_error_t } from './errors.mjs'
+export { proof_constraints_t } from './constraints.mjs'
+export { search_budget_t } from './budget.mjs'
+export { snapshot_format, snapshot_version, createSnapshot, readSnapshot } from './snapshot.mjs'
+
+export { generateRecursive, generateUnordered, generateNumbers, generateTiered, findCombination } from './dict_generator.mjs'
+export { parseExpression } from './parser.mjs'
+export { verify } from './verify.mjs'
+export { simplify, compareNodes } from './simplify.mjs'
+export { render_formats, renderExpression } from './render.mjs'
 export { expression_dictionary_t } from './dict.mjs'
+export { worker_dictionary_t, createWorkerDictionary } from './worker_dictionary.mjs'
@@ -0,0 +1,265 @@
+import { bigfloat } from '@steve02081504/bigfloat'
+import { formatDigits, isInteger, parseDigits, reducedFraction } from './rational.mjs'
+
+/**
+ * 运算符优先级枚举，随 `registerOperator` 注册的运算符自动更新。
+ * @enum {number}
+ */
+export const precedence_t = {
+	[undefined]: 0,
+}
+
+/**
+ * 默认启用的二元运算符集合。
+ * @type {string[]}
+ */
+export const default_operators = ['+', '-', '*', '/', '%', '^']
+
+/**
+ * 运算符的描述。
+ * @typedef {object} operator_spec_t
+ * @property {string} name 运算符名称，即 AST 与 JSON 中使用的标识。
+ * @property {1|2} arity 操作数个数。
+ * @property {number} precedence 优先级，数值越大结合越紧。
+ * @property {'left'|'right'|'both'} associativity 结合性，`both` 表示满足结合律。
+ * @property {string[]} associates_with 与之满足结合律的同优先级运算符，右操作数的最左路径上只出现这些运算符时可省略括号。
+ * @property {boolean} commutative 是否满足交换律。
+ * @property {'prefix'|'postfix'|'infix'} position 运算符的书写位置。
+ * @property {string} symbol 运算符在表达式字符串中的写法。
+ * @property {(...args: [...bigfloat[], operator_context_t]) => bigfloat} calculate 计算函数，最后一个参数为运算上下文，无法计算时抛出 RangeError。
+ * @property {(...args: [...bigfloat[], operator_context_t & { max_value?: bigfloat, max_denominator?: number }]) => boolean} applicable 字典枚举时判断运算是否值得尝试，最后一个参数为枚举上下文。
+ * @property {(target: bigfloat, ...args: [...bigfloat[], operator_context_t]) => bigfloat | undefined} [inverse] 反解函数：一元时给出得到 target 所需的操作数，二元时给出已知左操作数下所需的右操作数，供 proveAst 拆分目标；最后一个参数为运算上下文。
+ */
+
+/**
+ * 运算上下文，由字典、解析器与验证传给运算符。
+ * @typedef {object} operator_context_t
+ * @property {number} [radix=10] 表达式中数字字面量的进制，按数字书写形式运算的运算符（如 `||`）依此拼接与拆分。
+ */
+
+/**
+ * 运算符注册表，键为运算符名称，顺序即字典枚举的顺序。
+ * @type {Map<string, operator_spec_t>}
+ */
+export const operator_registry = new Map()
+
+/**
+ * 注册一个运算符，已存在的同名运算符会被覆盖。
+ * @param {string} name 运算符名称。
+ * @param {Partial<operator_spec_t> & Pick<operator_spec_t, 'precedence' | 'calculate'>} spec 运算符描述。
+ * @returns {operator_spec_t} 补全默认值后的运算符描述。
+ */
+export function registerOperator(name, spec) {
+	const arity = spec.arity ?? 2
+	const result = {
+		name,
+		arity,
+		associativity: 'left',
+		associates_with: [],
+		commutative: false,
+		position: arity === 1 ? 'prefix' : 'infix',
+		symbol: name,
+		applicable: () => true,
+		...spec,
+	}
+	operator_registry.set(name, result)
+	precedence_t[name] = result.precedence
+	return result
+}
+
+/**
+ * 将整数 bigfloat 转为 BigInt，非整数时抛出 RangeError。
+ * @param {bigfloat} num 数字。
+ * @returns {bigint} 对应的 BigInt。
+ */
+function toBigInt(num) {
+	if (!isInteger(num)) throw new RangeError(`${num} is not an integer`)
+	return BigInt(String(num))
+}
+
+/**
+ * 计算非负整数的整数平方根。
+ * @param {bigint} n 非负整数。
+ * @returns {bigint} 不大于 √n 的最大整数。
+ */
+function bigintSqrt(n) {
+	if (n < 2n) return n
+	let x = n
+	let y = (x + 1n) / 2n
+	while (y < x) {
+		x = y
+		y = (x + n / x) / 2n
+	}
+	return x
+}
+
+/**
+ * 计算 n 的阶乘，结果超过 limit 时提前返回 undefined。
+ * @param {bigint} n 非负整数。
+ * @param {bigint} [limit] 结果上限。
+ * @returns {bigint | undefined} 阶乘结果。
+ */
+function factorial(n, limit) {
+	let result = 1n
+	for (let i = 2n; i <= n; i++) {
+		result *= i
+		if (limit !== undefined && result > limit) return
+	}
+	return result
+}
+
+/**
+ * 阶乘操作数的上限，更大的操作数在计算时会耗尽内存。
+ * @type {bigint}
+ */
+const max_factorial_operand = 10000n
+
+// 内置运算符，注册顺序即 mergeDictionary 的枚举顺序
+registerOperator('+', {
+	precedence: 1,
+	associativity: 'both',
+	associates_with: ['-'],
+	commutative: true,
+	calculate: (a, b) => a.add(b),
+})
+registerOperator('*', {
+	precedence: 2,
+	associativity: 'both',
+	commutative: true,
+	calculate: (a, b) => a.mul(b),
+})
+registerOperator('-', {
+	precedence: 1,
+	calculate: (a, b) => a.sub(b),
+	applicable: (a, b) => !b.equals(0),
+})
+registerOperator('%', {
+	precedence: 2,
+	calculate: (a, b) => a.mod(b),
+	// 分数取余的结果不直观，不参与枚举
+	applicable: (a, b) => !b.equals(0) && isInteger(a) && isInteger(b),
+})
+registerOperator('/', {
+	precedence: 2,
+	calculate: (a, b) => a.div(b),
+	// 记录可以整除的结果，以及约分后分母不超过 max_denominator 的分数
+	applicable: (a, b, { max_denominator = 0 } = {}) => !b.equals(0) &&
+		(a.mod(b).equals(0) || Number(reducedFraction(a.div(b)).denominator) <= max_denominator),
+})
+registerOperator('^', {
+	precedence: 3,
+	associativity: 'right',
+	calculate: (a, b) => {
+		// 分数指数的结果多为无理数，无法精确表示
+		if (!isInteger(b)) throw new RangeError('non-integer exponent')
+		return a.pow(b)
+	},
+	// 快速剪枝：底数或指数过大时跳过
+	applicable: (a, b, { max_value } = {}) => {
+		// 负指数产生的分数由除法负责枚举
+		if (!isInteger(b) || b.sign) return false
+		if (max_value === undefined) return true
+		const limit = String(max_value).length
+		return !a.abs().greaterThan(limit) && !b.abs().greaterThan(limit)
+	},
+})
+registerOperator('u-', {
+	arity: 1,
+	precedence: 4,
+	symbol: '-',
+	calculate: (a) => a.neg(),
+	// 负数由减法产生，不参与枚举
+	applicable: () => false,
+})
+
+// 可选的扩展运算符，需在 operators 选项中显式启用
+registerOperator('!', {
+	arity: 1,
+	precedence: 7,
+	position: 'postfix',
+	calculate: (a) => {
+		if (a.sign) throw new RangeError('factorial of negative number')
+		const n = toBigInt(a)
+		if (n > max_factorial_operand) throw new RangeError(`factorial operand exceeds ${max_factorial_operand}`)
+		return bigfloat(factorial(n))
+	},
+	applicable: (a, { max_value } = {}) => isInteger(a) && !a.sign &&
+		factorial(toBigInt(a), max_value === undefined ? undefined : BigInt(String(max_value))) !== undefined,
+	inverse: (target) => {
+		if (!isInteger(target) || target.sign) return
+		const n = toBigInt(target)
+		let product = 1n
+		for (let i = 2n; product < n; i++) {
+			product *= i
+			if (product === n && i > 2n) return bigfloat(i)
+		}
+	},
+})
+registerOperator('√', {
+	arity: 1,
+	precedence: 4,
+	calculate: (a) => {
+		if (a.sign && !a.equals(0)) throw new RangeError('square root of negative number')
+		const { numerator, denominator } = reducedFraction(a)
+		const root_numerator = bigintSqrt(numerator)
+		const root_denominator = bigintSqrt(denominator)
+		if (root_numerator ** 2n !== numerator || root_denominator ** 2n !== denominator)
+			throw new RangeError('irrational square root')
+		return bigfloat.fromPairAndSign(false, root_numerator, root_denominator)
+	},
+	applicable: (a) => {
+		if (a.sign || a.isInf()) return false
+		const { numerator, denominator } = reducedFraction(a)
+		return numerator > 1n && bigintSqrt(numerator) ** 2n === numerator && bigintSqrt(denominator) ** 2n === denominator
+	},
+})
+registerOperator('||', {
+	precedence: 6,
+	// 按字面量的进制拼接，如 16 进制下 1||A 为 0x1A
+	calculate: (a, b, { radix = 10 } = {}) => {
+		if (a.sign || b.sign) throw new RangeError('concatenation of negative number')
+		return bigfloat(parseDigits(`${formatDigits(toBigInt(a), radix)}${formatDigits(toBigInt(b), radix)}`, radix))
+	},
+	// 拼接结果不超过最大值的位数
+	applicable: (a, b, { max_value, radix = 10 } = {}) => {
+		if (!isInteger(a) || !isInteger(b) || a.sign || b.sign) return false
+		if (max_value === undefined) return true
+		const length = (num) => formatDigits(toBigInt(num), radix).length
+		return length(a) + length(b) <= length(bigfloat(max_value).abs().floor())
+	},
+	inverse: (target, left, { radix = 10 } = {}) => {
+		if (!isInteger(target) || target.sign || !isInteger(left) || left.sign) return
+		const target_str = formatDigits(toBigInt(target), radix)
+		const left_str = formatDigits(toBigInt(left), radix)
+		const right_str = target_str.slice(left_str.length)
+		if (!target_str.startsWith(left_str) || !right_str) return
+		if (right_str.length > 1 && right_str.startsWith('0')) return
+		return bigfloat(parseDigits(right_str, radix))
+	},
+})
+registerOperator('&', {
+	precedence: 0.75,
+	associativity: 'both',
+	commutative: true,
+	calculate: (a, b) => bigfloat(toBigInt(a) & toBigInt(b)),
+	applicable: (a, b) => isInteger(a) && isInteger(b),
+})
+registerOperator('xor', {
+	precedence: 0.5,
+	associativity: 'both',
+	commutative: true,
+	symbol: ' xor ',
+	calculate: (a, b) => bigfloat(toBigInt(a) ^ toBigInt(b)),
+	applicable: (a, b) => isInteger(a) && isInteger(b),
+	inverse: (target, left) => {
+		if (!isInteger(target) || !isInteger(left)) return
+		return bigfloat(toBigInt(target) ^ toBigInt(left))
+	},
+})
+registerOperator('|', {
+	precedence: 0.25,
+	associativity: 'both',
+	commutative: true,
+	calculate: (a, b) => bigfloat(toBigInt(a) | toBigInt(b)),
+	applicable: (a, b) => isInteger(a) && isInteger(b),
+})
@@ -0,0 +1,249 @@
+import { bigfloat } from '@steve02081504/bigfloat'
+import { number_node_t, operator_node_t } from './dict_ast.mjs'
+import { operator_registry } from './operators.mjs'
+import { digit_mode_t } from './digits.mjs'
+import { search_budget_t } from './budget.mjs'
+import { abort_error_t } from './errors.mjs'
+import { formatRational, parseDigits, parseRational } from './rational.mjs'
+
+/**
+ * 可加的代价模型：表达式的代价为其中所有数字字面量与运算符的代价之和。
+ * 可加性保证了子表达式越便宜整体越便宜，最优性证明依赖这一点。
+ * @typedef {object} cost_model_t
+ * @property {(node: number_node_t, context: { base: string, bases?: string[] }) => number} literal 数字字面量的代价。
+ * @property {(operator: string, context: { base: string, bases?: string[] }) => number} operator 运算符的代价。
+ */
+
+/**
+ * 内置的代价模型。
+ * @type {Record<string, cost_model_t> & { weighted: (weights: Record<string, number>) => cost_model_t }}
+ */
+export const cost_models = {
+	/** 字符数（不计括号）。括号取决于上下文，无法逐项相加，故打印出的表达式可能更长 */
+	symbols: {
+		literal: (node) => node.literal.length,
+		operator: (operator) => operator_registry.get(operator).symbol.length,
+	},
+	/** AST 节点数 */
+	nodes: {
+		literal: () => 1,
+		operator: () => 1,
+	},
+	/** 消耗的基数份数，即所用数字个数除以基数位数，有多个基数时除以字面量所取自的基数的位数 */
+	copies: {
+		literal: (node, { base, bases = [base] }) => node.literal.length / (node.source ?? bases.find(item => item.includes(node.literal)) ?? base).length,
+		operator: () => 0,
+	},
+	/**
+	 * 按运算符加权，未列出的运算符与数字字面量代价为 1。
+	 * @param {Record<string, number>} weights 运算符名称到代价的映射，`literal` 键为数字字面量的代价。
+	 * @returns {cost_model_t} 代价模型。
+	 */
+	weighted: (weights) => ({
+		literal: () => weights.literal ?? 1,
+		operator: (operator) => weights[operator] ?? 1,
+	}),
+}
+
+/**
+ * 将代价模型名称或对象统一为代价模型对象。
+ * @param {string | cost_model_t} cost 代价模型。
+ * @returns {cost_model_t} 代价模型对象。
+ */
+export function resolveCostModel(cost) {
+	if (Object(cost) instanceof String) {
+		const model = cost_models[cost]
+		if (!model?.literal) throw new Error(`未知的代价模型：${cost}`)
+		return model
+	}
+	if (!cost?.literal || !cost?.operator) throw new Error('代价模型需要提供 literal 与 operator 函数')
+	return cost
+}
+
+/**
+ * 计算 AST 在给定代价模型下的代价。
+ * @param {import('./dict_ast.mjs').ast_node_t} node AST 节点。
+ * @param {string | cost_model_t} [cost='symbols'] 代价模型。
+ * @param {{ base?: string, bases?: string[] }} [context] 代价模型的上下文。
+ * @param {WeakMap<object, number>} [memo] 子树代价缓存。
+ * @returns {number} 代价。
+ */
+export function getCost(node, cost = 'symbols', context = {}, memo = new WeakMap()) {
+	const model = resolveCostModel(cost)
+	if (memo.has(node)) return memo.get(node)
+	const result = node instanceof number_node_t
+		? model.literal(node, context)
+		: node.children.reduce((sum, child) => sum + getCost(child, model, context, memo), model.operator(node.operator, context))
+	memo.set(node, result)
+	return result
+}
+
+/**
+ * 以代价为键的最小堆。
+ * @class
+ */
+class min_heap_t {
+	/** @type {{ cost: number }[]} */
+	items = []
+
+	get size() {
+		return this.items.length
+	}
+
+	/**
+	 * 压入元素。
+	 * @param {{ cost: number }} item 元素。
+	 */
+	push(item) {
+		const { items } = this
+		items.push(item)
+		let i = items.length - 1
+		while (i) {
+			const parent = (i - 1) >> 1
+			if (items[parent].cost <= items[i].cost) break
+			;[items[parent], items[i]] = [items[i], items[parent]]
+			i = parent
+		}
+	}
+
+	/**
+	 * 弹出代价最小的元素。
+	 * @returns {{ cost: number } | undefined} 元素。
+	 */
+	pop() {
+		const { items } = this
+		const top = items[0]
+		const last = items.pop()
+		if (items.length) {
+			items[0] = last
+			let i = 0
+			while (true) {
+				const left = i * 2 + 1
+				const right = left + 1
+				let smallest = i
+				if (left < items.length && items[left].cost < items[smallest].cost) smallest = left
+				if (right < items.length && items[right].cost < items[smallest].cost) smallest = right
+				if (smallest === i) break
+				;[items[smallest], items[i]] = [items[i], items[smallest]]
+				i = smallest
+			}
+		}
+		return top
+	}
+}
+
+/**
+ * 在字典项的组合中做最佳优先搜索，寻找代价最小的表达式。
+ *
+ * 搜索空间为以字典项（重复使用模式下还包括基数的连续子串）为叶子、以字典允许的运算符连接的表达式，中间值的绝对值不超过 `max_value`，
+ * 目标为整数时中间值也须为整数。每次弹出代价最小的候选并将其数值定稿，
+ * 由于代价可加，首次弹出目标值时即证明了最优性。
+ * @param {object} dict 表达式字典。
+ * @param {bigfloat} target 目标数字。
+ * @param {object} [options] 选项。
+ * @param {string | cost_model_t} [options.cost='symbols'] 代价模型。
+ * @param {import('./dict_ast.mjs').ast_node_t} [options.upper_bound] 已知的可行解，用于剪枝。
+ * @param {bigfloat} [options.max_value] 中间值绝对值的上限。
+ * @param {number} [options.timeout=10000] 搜索时间上限（毫秒）。
+ * @param {number} [options.maxNodes=200000] 生成候选节点数的上限。
+ * @param {AbortSignal} [options.signal] 取消信号，触发后抛出 abort_error_t。
+ * @param {search_budget_t} [options.budget] 搜索预算，给出时代替 timeout、maxNodes 与 signal，生成的候选计入其节点数。
+ * @returns {Promise<{ ast?: import('./dict_ast.mjs').ast_node_t, cost: number, optimal: boolean, expanded: number }>} 搜索结果，
+ * `optimal` 表示搜索空间内不存在更便宜的表达式。
+ */
+export async function searchOptimal(dict, target, {
+	cost = 'symbols',
+	upper_bound,
+	max_value,
+	timeout = 10000,
+	maxNodes = 200000,
+	signal,
+	budget = new search_budget_t({ signal, timeout, maxNodes }),
+} = {}) {
+	target = parseRational(target)
+	const target_str = formatRational(target)
+	const model = resolveCostModel(cost)
+	const bases = dict.bases ?? [dict.base]
+	const radix = dict.radix ?? 10
+	const context = { base: dict.base, bases }
+	const memo = new WeakMap()
+	const costOf = (node) => getCost(node, model, context, memo)
+	const integer_only = target.floor().equals(target)
+	max_value = bigfloat(max_value ?? bigfloat(BigInt(radix) ** BigInt(Math.max(...bases.map(base => base.length)))).add(target.abs().mul(2)))
+
+	let best = upper_bound ? { ast: upper_bound, cost: costOf(upper_bound) } : { cost: Infinity }
+	const binary_operators = [...operator_registry.values()].filter(spec => spec.arity === 2 && dict.operators.has(spec.name))
+	const unary_operators = [...operator_registry.values()].filter(spec => spec.arity === 1 && (spec.name === 'u-' ? dict.operators.has('-') : dict.operators.has(spec.name)))
+
+	const heap = new min_heap_t()
+	/** @type {Map<string, number>} 各数值已入堆的最低代价 */
+	const pushed = new Map()
+	/** @type {Map<string, { value: bigfloat, ast: import('./dict_ast.mjs').ast_node_t, cost: number }>} */
+	const finalized = new Map()
+
+	const push = (value, ast) => {
+		const value_str = formatRational(value)
+		if (finalized.has(value_str)) return
+		const node_cost = costOf(ast)
+		if (node_cost >= best.cost) return
+		if (value_str === target_str) {
+			best = { ast, cost: node_cost }
+			return
+		}
+		if (node_cost >= (pushed.get(value_str) ?? Infinity)) return
+		pushed.set(value_str, node_cost)
+		heap.push({ cost: node_cost, value, value_str, ast })
+	}
+	// 目标为分数时不限制中间结果的分母
+	const enumerate_context = { max_value, max_denominator: integer_only ? 0 : Infinity, radix }
+	const tryPush = ({ name, calculate, applicable }, children, operands) => {
+		try {
+			if (name !== 'u-' && !applicable(...operands, enumerate_context)) return
+			const value = calculate(...operands, enumerate_context)
+			if (value.isInf() || value.abs().greaterThan(max_value)) return
+			if (integer_only && !value.floor().equals(value)) return
+			budget.nodes++
+			push(value, new operator_node_t(name, children))
+		} catch { } // 忽略无法计算的组合
+	}
+	const operator_cost = (name) => model.operator(name, context)
+
+	for (const [key_str, ast] of dict.data) push(parseRational(key_str), ast)
+	// 重复使用模式下基数的任意连续子串都是合法的字面量
+	if (dict.mode === digit_mode_t.reuse)
+		for (const base of bases)
+			for (let i = 0; i < base.length; i++)
+				for (let j = i + 1; j <= base.length; j++) {
+					const literal = base.slice(i, j)
+					push(bigfloat(parseDigits(literal, radix)), new number_node_t(literal, bases.length > 1 ? base : undefined, radix))
+				}
+
+	while (heap.size) {
+		if (budget.nodes > budget.maxNodes || Date.now() > budget.deadline)
+			return { ...best, optimal: false, expanded: finalized.size }
+		// 有取消信号时定期让出事件循环，使取消请求得以送达
+		if (budget.signal && finalized.size % 64 === 0) await new Promise(resolve => setTimeout(resolve, 0))
+		if (budget.signal?.aborted) throw new abort_error_t('搜索已取消', 'abort')
+		const item = heap.pop()
+		// 堆中最便宜的候选也不比已知解便宜，已知解即为最优
+		if (item.cost >= best.cost) break
+		if (finalized.has(item.value_str)) continue
+		finalized.set(item.value_str, item)
+
+		for (const spec of unary_operators)
+			if (item.cost + operator_cost(spec.name) < best.cost)
+				tryPush(spec, [item.ast], [item.value])
+		// 定稿顺序即代价的非降序，组合的代价下界超过已知解后即可停止
+		for (const other of finalized.values()) {
+			if (item.cost + other.cost >= best.cost) break
+			for (const spec of binary_operators) {
+				if (item.cost + other.cost + operator_cost(spec.name) >= best.cost) continue
+				tryPush(spec, [item.ast, other.ast], [item.value, other.value])
+				if (other !== item)
+					tryPush(spec, [other.ast, item.ast], [other.value, item.value])
+			}
+		}
+	}
+
+	return { ...best, optimal: best.cost !== Infinity, expanded: finalized.size }
+}
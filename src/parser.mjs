@@ -0,0 +1,165 @@
+import { number_node_t, operator_node_t } from './dict_ast.mjs'
+import { operator_registry } from './operators.mjs'
+import { parse_error_t } from './errors.mjs'
+import { digitClass, parseRational, reducedFraction } from './rational.mjs'
+
+/**
+ * 词法单元。
+ * @typedef {object} token_t
+ * @property {'number'|'decimal'|'operator'|'('|')'|'end'} type 类型。
+ * @property {string} text 原文。
+ * @property {number} position 在表达式中的起始下标。
+ */
+
+/**
+ * 将表达式切分为词法单元，运算符按注册表中的写法做最长匹配。
+ * @param {string} expression 表达式。
+ * @param {boolean} decimals 是否接受小数。
+ * @param {number} radix 数字字面量的进制。
+ * @returns {token_t[]} 词法单元数组，以 `end` 结尾。
+ */
+function tokenize(expression, decimals, radix) {
+	const symbols = [...new Set([...operator_registry.values()].map(spec => spec.symbol.trim()))]
+		.sort((a, b) => b.length - a.length)
+	const digit = `[${digitClass(radix)}]`
+	const number_pattern = new RegExp(`^${digit}+`)
+	const decimal_pattern = new RegExp(`^${digit}+\\.${digit}*(?:\\[${digit}+\\])?`)
+	// 进制大于 10 时字母也是数字，以字母书写的运算符（如 xor）在词法单元的开头优先识别为运算符
+	const letter_symbols = radix > 10 ? symbols.filter(symbol => /^[A-Za-z]/.test(symbol)) : []
+	const tokens = []
+	let position = 0
+	while (position < expression.length) {
+		const rest = expression.slice(position)
+		const space = rest.match(/^\s+/)?.[0]
+		if (space) {
+			position += space.length
+			continue
+		}
+		const letter_symbol = letter_symbols.find(symbol => rest.startsWith(symbol))
+		const number = !letter_symbol && rest.match(number_pattern)?.[0]
+		if (number) {
+			const decimal = decimals && rest.match(decimal_pattern)?.[0]
+			if (decimal) {
+				if (/^(?:\.\.\.|…)/.test(rest.slice(decimal.length)) || /\.$/.test(decimal) && /^\.\./.test(rest.slice(decimal.length)))
+					throw new parse_error_t('无法精确表示循环小数，请改写为分数，如 1/3，或写作 0.[3]', expression, position + decimal.length)
+				tokens.push({ type: 'decimal', text: decimal, position })
+				position += decimal.length
+				continue
+			}
+			if (rest[number.length] === '.')
+				throw new parse_error_t('不支持小数，请改写为分数，如 3/2', expression, position + number.length)
+			tokens.push({ type: 'number', text: number, position })
+			position += number.length
+			continue
+		}
+		if (rest[0] === '(' || rest[0] === ')') {
+			tokens.push({ type: rest[0], text: rest[0], position })
+			position++
+			continue
+		}
+		const symbol = symbols.find(symbol => rest.startsWith(symbol))
+		if (!symbol) throw new parse_error_t(`无法识别的字符 ${rest[0]}`, expression, position)
+		tokens.push({ type: 'operator', text: symbol, position })
+		position += symbol.length
+	}
+	tokens.push({ type: 'end', text: '', position })
+	return tokens
+}
+
+/**
+ * 按书写位置与元数查找写法为 symbol 的运算符。
+ * @param {string} symbol 运算符写法。
+ * @param {'prefix'|'postfix'|'infix'} position 书写位置。
+ * @returns {import('./operators.mjs').operator_spec_t | undefined} 运算符描述。
+ */
+function findOperator(symbol, position) {
+	for (const spec of operator_registry.values())
+		if (spec.symbol.trim() === symbol && spec.position === position) return spec
+}
+
+/**
+ * 将表达式字符串解析为 AST，语法与 `toString` 的输出一致：
+ * 运算符的写法、优先级与结合性均取自运算符注册表，一元负号作为 `^` 的底数时须加括号（同 JS 的 `**`）。
+ * 默认只接受整数字面量，保留其前导零。
+ * @param {string} expression 表达式字符串。
+ * @param {object} [options] 选项。
+ * @param {boolean} [options.decimals=false] 是否接受小数字面量（如 `0.125`、循环小数 `0.1[6]`），用于解析目标数字。
+ * 小数解析为约分后的分数节点，如 `0.125` 解析为 `1/8`。
+ * @param {number} [options.radix=10] 数字字面量的进制，字母不区分大小写，解析后统一为大写。
+ * @returns {import('./dict_ast.mjs').ast_node_t} 解析得到的 AST。
+ * @throws {parse_error_t} 如果表达式不合语法。
+ */
+export function parseExpression(expression, { decimals = false, radix = 10 } = {}) {
+	expression = String(expression)
+	const tokens = tokenize(expression, decimals, radix)
+	let index = 0
+	const peek = () => tokens[index]
+	const next = () => tokens[index++]
+	const fail = (message, token = peek()) => {
+		throw new parse_error_t(message, expression, token.position)
+	}
+	const describe = (token) => token.type === 'end' ? '表达式结尾' : token.text
+
+	/**
+	 * 解析一个操作数：数字、括号或前缀运算符。
+	 * @returns {{ node: import('./dict_ast.mjs').ast_node_t, negated: boolean }} 操作数及其是否以未加括号的一元负号开头。
+	 */
+	const parseOperand = () => {
+		const token = next()
+		switch (token.type) {
+			case 'number':
+				return { node: new number_node_t(token.text, undefined, radix), negated: false }
+			case 'decimal': {
+				const { numerator, denominator } = reducedFraction(parseRational(token.text, radix))
+				const node = denominator === 1n ? new number_node_t(numerator, undefined, radix)
+					: new operator_node_t('/', [new number_node_t(numerator, undefined, radix), new number_node_t(denominator, undefined, radix)])
+				return { node, negated: false }
+			}
+			case '(': {
+				const node = parseBinary(-Infinity, false)
+				if (peek().type !== ')') fail(`缺少右括号，遇到了${describe(peek())}`)
+				next()
+				return { node, negated: false }
+			}
+			case 'operator': {
+				const spec = findOperator(token.text, 'prefix')
+				if (!spec) fail(`${token.text} 不能出现在操作数的位置`, token)
+				const operand = parseBinary(spec.precedence, true)
+				return { node: new operator_node_t(spec.name, [operand]), negated: spec.name === 'u-' }
+			}
+			default:
+				fail(`缺少操作数，遇到了${describe(token)}`, token)
+		}
+	}
+
+	/**
+	 * 解析优先级高于 min_precedence（allow_equal 时也包括相等）的运算符构成的表达式。
+	 * @param {number} min_precedence 最低优先级。
+	 * @param {boolean} allow_equal 是否接受与最低优先级相等的运算符。
+	 * @returns {import('./dict_ast.mjs').ast_node_t} 解析得到的 AST。
+	 */
+	const parseBinary = (min_precedence, allow_equal) => {
+		let { node: left, negated } = parseOperand()
+		while (peek().type === 'operator') {
+			const token = peek()
+			const spec = findOperator(token.text, 'postfix') ?? findOperator(token.text, 'infix')
+			if (!spec) fail(`${token.text} 不能出现在运算符的位置`, token)
+			if (!(spec.precedence > min_precedence || allow_equal && spec.precedence === min_precedence)) break
+			next()
+			if (spec.name === '^' && negated)
+				fail('一元负号作为 ^ 的底数时须加括号', token)
+			if (spec.arity === 1)
+				left = new operator_node_t(spec.name, [left])
+			else {
+				const right = parseBinary(spec.precedence, spec.associativity === 'right')
+				left = new operator_node_t(spec.name, [left, right])
+			}
+			negated = false
+		}
+		return left
+	}
+
+	const result = parseBinary(-Infinity, false)
+	if (peek().type !== 'end') fail(`多余的${describe(peek())}`)
+	return result
+}
@@ -0,0 +1,29 @@
+/**
+ * 将任意值的字符串形式散列为 32 位无符号整数（FNV-1a）。
+ * @param {number|string|bigint} seed 要散列的值。
+ * @returns {number} 32 位无符号整数。
+ */
+export function hashString(seed) {
+	let hash = 0x811c9dc5
+	for (const char of String(seed)) {
+		hash ^= char.codePointAt(0)
+		hash = Math.imul(hash, 0x01000193)
+	}
+	return hash >>> 0
+}
+
+/**
+ * 创建以给定种子初始化的伪随机数生成器（mulberry32），相同种子总是产生相同的序列。
+ * @param {number|string|bigint} seed 种子。
+ * @returns {() => number} 每次调用返回 [0, 1) 内的随机数。
+ */
+export function createRandom(seed) {
+	let state = hashString(seed)
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0
+		let t = state
+		t = Math.imul(t ^ (t >>> 15), t | 1)
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+	}
+}
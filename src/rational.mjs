@@ -0,0 +1,160 @@
+import { bigfloat } from '@steve02081504/bigfloat'
+
+/**
+ * 检查进制是否为 2 到 36 之间的整数。
+ * @param {number | string} radix 进制。
+ * @returns {number} 进制。
+ * @throws {Error} 如果进制不合法。
+ */
+export function checkRadix(radix) {
+	const result = Number(radix)
+	if (!Number.isInteger(result) || result < 2 || result > 36) throw new Error(`进制须为 2 到 36 之间的整数：${radix}`)
+	return result
+}
+
+/**
+ * 获取给定进制下数字字符的正则表达式字符类（不含方括号），字母不区分大小写。
+ * @param {number} radix 进制。
+ * @returns {string} 字符类，如 16 进制为 `0-9A-Fa-f`。
+ */
+export function digitClass(radix) {
+	if (radix <= 10) return `0-${radix - 1}`
+	const last = (radix - 1).toString(36)
+	return `0-9A-${last.toUpperCase()}a-${last}`
+}
+
+/**
+ * 按给定进制解析数字字符串。
+ * @param {string} digits 数字字符串，字母不区分大小写。
+ * @param {number} [radix=10] 进制。
+ * @returns {bigint} 对应的非负整数。
+ */
+export function parseDigits(digits, radix = 10) {
+	if (radix === 10) return BigInt(digits)
+	const big_radix = BigInt(radix)
+	let result = 0n
+	for (const char of digits) result = result * big_radix + BigInt(parseInt(char, radix))
+	return result
+}
+
+/**
+ * 以给定进制书写整数，字母大写。
+ * @param {bigint} n 整数。
+ * @param {number} [radix=10] 进制。
+ * @returns {string} 该进制下的写法，负数带有负号。
+ */
+export function formatDigits(n, radix = 10) {
+	return n.toString(radix).toUpperCase()
+}
+
+/**
+ * 获取数字约分后的分子与分母，运算结果的分数不一定是最简的。
+ * @param {bigfloat} num 数字。
+ * @returns {{ numerator: bigint, denominator: bigint }} 最简分数的分子与分母，均不含符号。
+ */
+export function reducedFraction(num) {
+	let { numerator, denominator } = num.basenum
+	for (let [a, b] = [numerator, denominator]; ; [a, b] = [b % a, a])
+		if (!a) {
+			numerator /= b
+			denominator /= b
+			return { numerator, denominator }
+		}
+}
+
+/**
+ * 判断 bigfloat 是否为整数。
+ * @param {bigfloat} num 数字。
+ * @returns {boolean} 是否为整数。
+ */
+export function isInteger(num) {
+	return !num.isInf() && num.floor().equals(num)
+}
+
+/**
+ * 将数字格式化为规范的字符串，十进制的写法也是字典的键。
+ * 整数照常输出；有限小数输出为小数，如 `3.75`；其余输出为最简分数，如 `-1/7`。
+ * 其他进制下整数以该进制书写，如 16 进制的 `-3E8`，非整数一律输出为最简分数。
+ * bigfloat 自身的 toString 对部分循环小数的输出有误（如 1/6），故分数不使用它。
+ * @param {bigfloat} num 数字。
+ * @param {number} [radix=10] 进制。
+ * @returns {string} 规范字符串。
+ */
+export function formatRational(num, radix = 10) {
+	if (num.isInf()) return String(num)
+	const sign = num.sign ? '-' : ''
+	if (radix !== 10) {
+		const { numerator, denominator } = reducedFraction(num)
+		const fraction = denominator === 1n ? '' : `/${formatDigits(denominator, radix)}`
+		return `${numerator ? sign : ''}${formatDigits(numerator, radix)}${fraction}`
+	}
+	if (isInteger(num)) return String(num)
+	const { numerator, denominator } = reducedFraction(num)
+	// 分母只含因子 2 与 5 时是有限小数
+	let rest = denominator
+	let twos = 0, fives = 0
+	while (rest % 2n === 0n) { rest /= 2n; twos++ }
+	while (rest % 5n === 0n) { rest /= 5n; fives++ }
+	if (rest !== 1n) return `${sign}${numerator}/${denominator}`
+	const scale = Math.max(twos, fives)
+	const digits = String(numerator * 10n ** BigInt(scale) / denominator).padStart(scale + 1, '0')
+	return `${sign}${digits.slice(0, -scale)}.${digits.slice(-scale)}`
+}
+
+/**
+ * 将数字转为精确的有理数。
+ * 字符串可以是整数、小数（如 `0.125`、`1.5e-3`）、分数（如 `-1/7`）或 bigfloat 的循环小数写法（如 `0.1[6]`）。
+ * 其他进制下字符串按该进制解析，不支持指数写法，如 16 进制的 `3E8` 为 1000、`0.8` 为 1/2。
+ * JS 数字按其最短的十进制写法换算，有效数字过多时视为无理数或循环小数的近似值而拒绝。
+ * @param {bigfloat | number | string | bigint} value 数字。
+ * @param {number} [radix=10] 字符串的进制，其他类型的值不受影响。
+ * @returns {bigfloat} 对应的有理数。
+ * @throws {Error} 如果无法精确表示该数字。
+ */
+export function parseRational(value, radix = 10) {
+	if (value instanceof bigfloat) return value
+	if (typeof value === 'bigint') return bigfloat(value)
+	if (typeof value === 'number') {
+		if (!Number.isFinite(value)) throw new Error(`无法精确表示 ${value}`)
+		if (Number.isInteger(value)) return bigfloat(BigInt(value))
+		const significant = value.toExponential().replace(/e.*$|\D/g, '').length
+		// 双精度浮点数最多有 17 位有效数字，能写满 16 位以上的大多是 1/3、Math.PI 之类的近似值
+		if (significant >= 16)
+			throw new Error(`无法精确表示 ${value}：它可能是无理数或循环小数的近似值，请改用分数字符串，如 '1/3'`)
+		value = String(value)
+	}
+	const str = String(value).trim()
+	const digit = `[${digitClass(radix)}]`
+	const big_radix = BigInt(radix)
+	let match
+	if (match = str.match(new RegExp(`^([+-]?)(${digit}+)$`))) {
+		const integer = parseDigits(match[2], radix)
+		return bigfloat(match[1] === '-' ? -integer : integer)
+	}
+	if (match = str.match(new RegExp(`^([+-]?)(${digit}+)/(${digit}+)$`))) {
+		const [, sign] = match
+		const numerator = parseDigits(match[2], radix)
+		const denominator = parseDigits(match[3], radix)
+		if (!denominator) throw new Error(`分母不能为 0：${str}`)
+		return bigfloat.fromPairAndSign(sign === '-' && !!numerator, numerator, denominator)
+	}
+	if (match = str.match(new RegExp(`^([+-]?)(${digit}*)\\.(${digit}*)(?:\\[(${digit}+)\\])?${radix === 10 ? '(?:e([+-]?\\d+))?' : ''}$`, 'i'))) {
+		const [, sign, integer_part, fraction_part, repeating = '', exponent = '0'] = match
+		if (!integer_part && !fraction_part && !repeating) throw new Error(`无法解析数字：${str}`)
+		// 0.a[b] = (ab - a) / (R^|a| * (R^|b| - 1))，R 为进制
+		const head = parseDigits(integer_part + fraction_part || '0', radix)
+		let numerator = head
+		let denominator = big_radix ** BigInt(fraction_part.length)
+		if (repeating) {
+			numerator = parseDigits(integer_part + fraction_part + repeating, radix) - head
+			denominator *= big_radix ** BigInt(repeating.length) - 1n
+		}
+		const shift = BigInt(exponent)
+		if (shift > 0n) numerator *= 10n ** shift
+		else denominator *= 10n ** -shift
+		return bigfloat.fromPairAndSign(sign === '-' && !!numerator, numerator, denominator)
+	}
+	if (radix === 10 && (match = str.match(/^([+-]?\d+)e([+-]?\d+)$/i))) return parseRational(`${match[1]}.e${match[2]}`)
+	if (/\.\.\.|…/.test(str)) throw new Error(`无法精确表示循环小数 ${str}，请改写为分数，如 1/3，或写作 0.[3]`)
+	throw new Error(`无法解析数字：${str}`)
+}
@@ -0,0 +1,328 @@
+import { convertRadix, number_node_t, operator_node_t } from './dict_ast.mjs'
+import { operator_registry } from './operators.mjs'
+import { formatDigits, isInteger, parseDigits } from './rational.mjs'
+
+/**
+ * 某一输出格式下运算符的写法。
+ * @typedef {object} format_operator_t
+ * @property {number} precedence 该格式下的优先级，数值越大结合越紧。
+ * @property {'left'|'right'|'both'} [associativity] 该格式下的结合性，默认取运算符注册表中的值。
+ * @property {boolean[]} [delimited] 各操作数是否已被写法本身界定（如 `\frac{a}{b}` 的两个操作数），界定的操作数不加括号。
+ * @property {boolean} [atomic] 写法本身是否自成一体（如函数调用），作为操作数时不加括号。
+ * @property {boolean} [no_negative_base] 左操作数为一元负号时是否必须加括号（如 JS 的 `**`）。
+ * @property {(operands: string[], values: bigfloat[], context: { bigint: boolean, radix: number }) => string} render 由已格式化的操作数拼出表达式，`radix` 为表达式运算所用的进制。
+ */
+
+/**
+ * 输出格式。
+ * @typedef {object} format_t
+ * @property {(literal: string, context: object, radix: number) => string} literal 以 radix 进制书写的数字字面量的写法。
+ * @property {(str: string, source: string) => string} [source] 为已格式化的数字字面量标出其来源基数的写法，省略时不标出。
+ * @property {(str: string) => string} group 加括号的写法。
+ * @property {(str: string) => string} [wrap] 包裹整个表达式。
+ * @property {Record<string, format_operator_t>} operators 各运算符的写法。
+ * @property {(spec: import('./operators.mjs').operator_spec_t) => format_operator_t} [fallback] 未列出的运算符的写法，省略时无法输出。
+ */
+
+
+/**
+ * 生成以中缀写法输出的二元运算符。
+ * @param {number} precedence 优先级。
+ * @param {string} symbol 运算符写法。
+ * @param {Partial<format_operator_t>} [options] 其他选项。
+ * @returns {format_operator_t} 运算符写法。
+ */
+const infix = (precedence, symbol, options) => ({ precedence, render: ([a, b]) => `${a}${symbol}${b}`, ...options })
+
+/**
+ * 生成以函数调用写法输出的运算符。
+ * @param {(operands: string[]) => string} render 由操作数拼出函数调用。
+ * @returns {format_operator_t} 运算符写法。
+ */
+const call = (render) => ({ precedence: Infinity, atomic: true, delimited: [true, true], render })
+
+/**
+ * 判断已格式化的表达式是否整体包在一对括号中。
+ * @param {string} str 已格式化的表达式。
+ * @returns {boolean} 首个左括号是否恰在末尾闭合。
+ */
+const isGrouped = (str) => {
+	if (!str.startsWith('(')) return false
+	let depth = 0
+	for (let i = 0; i < str.length; i++)
+		if (str[i] === '(') depth++
+		else if (str[i] === ')' && !--depth) return i === str.length - 1
+	return false
+}
+
+/**
+ * 以 `-(...)` 取负，已整体加了括号的表达式不再重复加括号。
+ * @param {string} str 已格式化的表达式。
+ * @returns {string} 取负后的表达式。
+ */
+const negate = (str) => isGrouped(str) ? `-${str}` : `-(${str})`
+
+/**
+ * 非十进制下数字拼接的写法，用于 JS 与 Python：`a||b` 即 `a * radix ** k + b`，k 为 b 在该进制下的位数。
+ * @param {string[]} operands 已格式化的操作数。
+ * @param {bigfloat} b_value 右操作数的值。
+ * @param {number} radix 进制。
+ * @param {(num: number) => string} [literal] 整数字面量的写法。
+ * @returns {string} 整体带括号的表达式。
+ */
+const radixConcat = ([a, b], b_value, radix, literal = String) => {
+	const atom = (str) => /^\w+$/.test(str) || isGrouped(str) ? str : `(${str})`
+	const digits = formatDigits(BigInt(String(b_value)), radix).length
+	return `(${atom(a)} * ${literal(radix)} ** ${literal(digits)} + ${atom(b)})`
+}
+
+/**
+ * 截断取余（结果与被除数同号）的写法，用于取余为向下取整语义的语言。
+ * 两操作数异号且不整除时改写为同号的取余，被除数为负时结果形如 `-(...)`。
+ * @param {(a: string, b: string) => string} mod 该语言取余的写法。
+ * @param {(str: string) => string} [wrap] 包裹取负后的结果，用于取余写作函数调用而自成一体的格式。
+ * @returns {(operands: string[], values: bigfloat[]) => string} 运算符的 render 函数。
+ */
+const truncatedMod = (mod, wrap = (str) => str) => ([a, b], [a_value, b_value]) => {
+	if (a_value.sign === b_value.sign || a_value.mod(b_value).equals(0)) return mod(a, b)
+	return a_value.sign ? wrap(negate(mod(negate(a), b))) : mod(a, negate(b))
+}
+
+/**
+ * 以 JS 与 Python 的进制前缀书写字面量，没有对应前缀的进制返回 undefined。
+ * @param {string} literal 数字字面量。
+ * @param {number} radix 进制。
+ * @returns {string | undefined} 带前缀的字面量。
+ */
+const prefixed = (literal, radix) => {
+	const prefix = { 2: '0b', 8: '0o', 16: '0x' }[radix]
+	return prefix && `${prefix}${parseDigits(literal, radix).toString(radix).toUpperCase()}`
+}
+
+/**
+ * 内置的输出格式。
+ * @type {Record<string, format_t>}
+ */
+export const render_formats = {
+	latex: {
+		literal: (literal, _, radix) => radix === 10 ? literal : `\\mathrm{${literal}}_{${radix}}`,
+		source: (str, source) => `\\underset{${source}}{${str}}`,
+		group: (str) => `\\left(${str}\\right)`,
+		operators: {
+			'+': infix(1, '+'),
+			'-': infix(1, '-'),
+			'*': infix(2, ' \\times '),
+			'%': infix(2, ' \\bmod '),
+			'/': { ...call(([a, b]) => `\\frac{${a}}{${b}}`) },
+			'^': { precedence: 3, delimited: [false, true], no_negative_base: true, render: ([a, b]) => `${a}^{${b}}` },
+			'u-': { precedence: 1.5, render: ([a]) => `-${a}` },
+			'!': { precedence: 7, render: ([a]) => `${a}!` },
+			'√': { ...call(([a]) => `\\sqrt{${a}}`) },
+			'||': infix(6, ' \\mathbin{\\Vert} '),
+			'&': infix(0.75, ' \\mathbin{\\&} '),
+			'xor': infix(0.5, ' \\oplus '),
+			'|': infix(0.25, ' \\mathbin{|} '),
+		},
+		fallback: ({ arity, position, precedence, symbol }) => ({
+			precedence,
+			render: ([a, b]) => {
+				const operator = `\\mathbin{\\text{${symbol.trim()}}}`
+				return arity === 2 ? `${a} ${operator} ${b}` : position === 'postfix' ? `${a}${operator}` : `${operator}${a}`
+			},
+		}),
+	},
+	mathml: {
+		literal: (literal, _, radix) => radix === 10 ? `<mn>${literal}</mn>` : `<msub><mn>${literal}</mn><mn>${radix}</mn></msub>`,
+		source: (str, source) => `<munder>${str}<mtext>${source}</mtext></munder>`,
+		group: (str) => `<mrow><mo>(</mo>${str}<mo>)</mo></mrow>`,
+		wrap: (str) => `<math xmlns="http://www.w3.org/1998/Math/MathML">${str}</math>`,
+		operators: {
+			'+': infix(1, '<mo>+</mo>'),
+			'-': infix(1, '<mo>-</mo>'),
+			'*': infix(2, '<mo>&#xD7;</mo>'),
+			'%': infix(2, '<mo>mod</mo>'),
+			'/': { ...call(([a, b]) => `<mfrac><mrow>${a}</mrow><mrow>${b}</mrow></mfrac>`) },
+			'^': { precedence: 3, delimited: [false, true], no_negative_base: true, render: ([a, b]) => `<msup><mrow>${a}</mrow><mrow>${b}</mrow></msup>` },
+			'u-': { precedence: 1.5, render: ([a]) => `<mrow><mo>-</mo>${a}</mrow>` },
+			'!': { precedence: 7, render: ([a]) => `<mrow>${a}<mo>!</mo></mrow>` },
+			'√': { ...call(([a]) => `<msqrt>${a}</msqrt>`) },
+			'||': infix(6, '<mo>&#x2016;</mo>'),
+			'&': infix(0.75, '<mo>&amp;</mo>'),
+			'xor': infix(0.5, '<mo>&#x2295;</mo>'),
+			'|': infix(0.25, '<mo>|</mo>'),
+		},
+		fallback: ({ arity, position, precedence, symbol }) => ({
+			precedence,
+			render: ([a, b]) => {
+				const operator = `<mo>${symbol.trim().replaceAll('&', '&amp;').replaceAll('<', '&lt;')}</mo>`
+				return `<mrow>${arity === 2 ? `${a}${operator}${b}` : position === 'postfix' ? `${a}${operator}` : `${operator}${a}`}</mrow>`
+			},
+		}),
+	},
+	// 所有中间值均为整数时使用 BigInt 字面量，保证大数的精确性
+	js: {
+		literal: (literal, { bigint }, radix) => `${prefixed(literal, radix) ?? parseDigits(literal, radix)}${bigint ? 'n' : ''}`,
+		group: (str) => `(${str})`,
+		operators: {
+			'+': infix(11, ' + '),
+			'-': infix(11, ' - '),
+			'*': infix(12, ' * '),
+			'/': infix(12, ' / '),
+			'%': infix(12, ' % '),
+			'^': { ...infix(13, ' ** '), no_negative_base: true },
+			'u-': { precedence: 14, render: ([a]) => `-${a}` },
+			'||': call(([a, b], [, b_value], { bigint, radix }) => radix !== 10 ? radixConcat([a, b], b_value, radix, bigint ? (num) => `${num}n` : String)
+				: bigint ? `BigInt(\`\${${a}}\${${b}}\`)` : `Number(\`\${${a}}\${${b}}\`)`),
+			'&': infix(7, ' & '),
+			'xor': infix(6, ' ^ '),
+			'|': infix(5, ' | '),
+		},
+	},
+	// 非整数的中间值使用 fractions.Fraction，阶乘与平方根使用 math 模块，分数的平方根对分子与分母分别开方
+	python: {
+		literal: (literal, _, radix) => radix === 10 ? String(BigInt(literal)) : prefixed(literal, radix) ?? `int('${literal}', ${radix})`,
+		group: (str) => `(${str})`,
+		operators: {
+			'+': infix(11, ' + '),
+			'-': infix(11, ' - '),
+			'*': infix(12, ' * '),
+			// 整除时使用 //，避免产生浮点数
+			'/': {
+				precedence: 12,
+				render: ([a, b], [a_value, b_value]) => isInteger(a_value) && isInteger(b_value) && isInteger(a_value.div(b_value))
+					? `${a} // ${b}` : `Fraction(${a}) / ${b}`,
+			},
+			'%': { precedence: 12, render: truncatedMod((a, b) => `${a} % ${b}`) },
+			'^': { ...infix(14, ' ** '), no_negative_base: true },
+			'u-': { precedence: 13, render: ([a]) => `-${a}` },
+			'!': call(([a]) => `math.factorial(${a})`),
+			'√': call(([a], [a_value]) => isInteger(a_value)
+				? `math.isqrt(${a})`
+				: `(lambda q: Fraction(math.isqrt(q.numerator), math.isqrt(q.denominator)))(${a})`),
+			'||': call(([a, b], [, b_value], { radix }) => radix !== 10 ? radixConcat([a, b], b_value, radix) : `int(str(${a}) + str(${b}))`),
+			'&': infix(7, ' & '),
+			'xor': infix(6, ' ^ '),
+			'|': infix(5, ' | '),
+		},
+	},
+	wolfram: {
+		literal: (literal, _, radix) => radix === 10 ? String(BigInt(literal)) : `${radix}^^${literal}`,
+		group: (str) => `(${str})`,
+		operators: {
+			'+': infix(1, ' + '),
+			'-': infix(1, ' - '),
+			'*': infix(2, '*'),
+			'/': infix(2, '/'),
+			// 取负后的结果不再是函数调用，需整体加括号才能作为操作数
+			'%': call(truncatedMod((a, b) => `Mod[${a}, ${b}]`, (str) => `(${str})`)),
+			'^': { ...infix(4, '^'), no_negative_base: true },
+			'u-': { precedence: 3, render: ([a]) => `-${a}` },
+			'!': { precedence: 5, render: ([a]) => `${a}!` },
+			'√': call(([a]) => `Sqrt[${a}]`),
+			'||': call(([a, b], _, { radix }) => radix === 10
+				? `FromDigits[Join[IntegerDigits[${a}], IntegerDigits[${b}]]]`
+				: `FromDigits[Join[IntegerDigits[${a}, ${radix}], IntegerDigits[${b}, ${radix}]], ${radix}]`),
+			'&': call(([a, b]) => `BitAnd[${a}, ${b}]`),
+			'xor': call(([a, b]) => `BitXor[${a}, ${b}]`),
+			'|': call(([a, b]) => `BitOr[${a}, ${b}]`),
+		},
+	},
+}
+
+/**
+ * 获取运算符在给定格式下的写法。
+ * @param {format_t} format 输出格式。
+ * @param {string} format_name 格式名称，用于错误信息。
+ * @param {string} operator 运算符名称。
+ * @returns {format_operator_t} 运算符写法，结合性已补全。
+ * @throws {Error} 如果该格式无法输出此运算符。
+ */
+function getFormatOperator(format, format_name, operator) {
+	const spec = operator_registry.get(operator)
+	const entry = format.operators[operator] ?? (spec && format.fallback?.(spec))
+	if (!entry) throw new Error(`无法以 ${format_name} 格式输出运算符 ${operator}`)
+	return { associativity: spec.associativity, ...entry }
+}
+
+/**
+ * 判断子节点在给定格式下作为操作数时是否需要加括号，规则与 formatOperand 一致。
+ * @param {import('./dict_ast.mjs').ast_node_t} child 子节点。
+ * @param {operator_node_t} parent 父节点。
+ * @param {number} index 子节点是第几个操作数。
+ * @param {(operator: string) => format_operator_t} getOperator 获取运算符写法。
+ * @returns {boolean} 是否需要加括号。
+ */
+function needsGroup(child, parent, index, getOperator) {
+	if (!(child instanceof operator_node_t)) return false
+	const parent_entry = getOperator(parent.operator)
+	const child_entry = getOperator(child.operator)
+	if (parent_entry.delimited?.[index] || child_entry.atomic) return false
+	// 一元负号作为幂运算的底数时必须加括号
+	if (parent_entry.no_negative_base && index === 0 && child.operator === 'u-') return true
+	if (child_entry.precedence !== parent_entry.precedence)
+		return child_entry.precedence < parent_entry.precedence
+
+	const parent_spec = operator_registry.get(parent.operator)
+	// 一元运算符：前缀叠写同一运算符需括号（如 -(-x)），其余叠写无歧义
+	if (parent_spec.arity === 1)
+		return parent_spec.position === 'prefix' && parent.operator === child.operator
+	if (index === 0) return parent_entry.associativity === 'right'
+	if (parent_entry.associativity === 'right') return false
+	// 满足结合律的同一运算符：右操作数的最左路径上只出现可结合的运算符时可省略括号
+	if (parent.operator !== child.operator || parent_entry.associativity !== 'both') return true
+	const isCleanLeftPath = (node) => {
+		if (!(node instanceof operator_node_t)) return true
+		const entry = getOperator(node.operator)
+		if (node.operator !== parent.operator && !parent_spec.associates_with.includes(node.operator))
+			return entry.atomic || entry.precedence > parent_entry.precedence
+		return isCleanLeftPath(node.children[0])
+	}
+	return !isCleanLeftPath(child)
+}
+
+/**
+ * 以给定格式输出 AST。
+ * @param {import('./dict_ast.mjs').ast_node_t} node AST 节点。
+ * @param {string} format 格式名称，可为 `render_formats` 中的任意一项。
+ * @param {object} [options] 选项。
+ * @param {boolean} [options.sources=false] 是否为标注了来源基数的数字字面量（见 number_node_t）标出其来源，格式没有提供 `source` 写法时忽略。
+ * @param {boolean} [options.decimal=false] 是否将非十进制的数字字面量换算为十进制后输出。
+ * @returns {string} 该格式下的表达式。
+ * @throws {Error} 如果格式未知或无法输出其中的某个运算符。
+ */
+export function renderExpression(node, format, { sources = false, decimal = false } = {}) {
+	const format_spec = render_formats[format]
+	if (!format_spec) throw new Error(`未知的输出格式：${format}`)
+	if (decimal) node = convertRadix(node, 10)
+	const entries = new Map()
+	const getOperator = (operator) => {
+		if (!entries.has(operator)) entries.set(operator, getFormatOperator(format_spec, format, operator))
+		return entries.get(operator)
+	}
+
+	const values = new Map()
+	const valueOf = (node) => {
+		if (!values.has(node)) values.set(node, node.calculate())
+		return values.get(node)
+	}
+	// 所有中间值都是整数、且没有负指数时才能安全地使用整数运算
+	const isIntegral = (node) => node instanceof number_node_t || isInteger(valueOf(node)) &&
+		!(node.operator === '^' && valueOf(node.children[1]).sign) && node.children.every(isIntegral)
+	// 换算为十进制的字面量仍按原来的进制运算，运算符节点保留了原来的进制
+	const context = { bigint: isIntegral(node), radix: node.radix }
+
+	const renderNode = (node) => {
+		if (node instanceof number_node_t) {
+			const str = format_spec.literal(node.literal, context, node.radix)
+			return sources && node.source !== undefined && format_spec.source ? format_spec.source(str, node.source) : str
+		}
+		const entry = getOperator(node.operator)
+		const operands = node.children.map((child, index) => {
+			const str = renderNode(child)
+			return needsGroup(child, node, index, getOperator) ? format_spec.group(str) : str
+		})
+		return entry.render(operands, node.children.map(valueOf), context)
+	}
+	const result = renderNode(node)
+	return format_spec.wrap ? format_spec.wrap(result) : result
+}
@@ -1,27 +1,35 @@
+/**
+ * 所有可替换对象共用的代理处理器，代理的目标为对象的 replace_data，操作均转发给其当前指向的对象。
+ * 共用处理器而非为每个对象创建闭包，可显著减少大量节点时的内存占用。
+ * @type {ProxyHandler<{ to: object }>}
+ */
+const replace_able_handler = {
+	has: (self, prop) => Reflect.has(self.to, prop),
+	get: (self, prop, receiver) => {
+		const result = Reflect.get(self.to, prop, receiver)
+		if (result instanceof Function) return result.bind(self.to)
+		return result
+	},
+	// 直接写入当前对象，不经由代理的 defineProperty 转发
+	set: (self, prop, value) => Reflect.set(self.to, prop, value),
+	getPrototypeOf: (self) => Object.getPrototypeOf(self.to),
+	setPrototypeOf: (self, proto) => Object.setPrototypeOf(self.to, proto),
+	isExtensible: (self) => Object.isExtensible(self.to),
+	preventExtensions: (self) => Object.preventExtensions(self.to),
+	ownKeys: (self) => Reflect.ownKeys(self.to),
+	getOwnPropertyDescriptor: (self, prop) => Object.getOwnPropertyDescriptor(self.to, prop),
+	defineProperty: (self, prop, attributes) => Object.defineProperty(self.to, prop, attributes),
+	deleteProperty: (self, prop) => Reflect.deleteProperty(self.to, prop)
+}
+
 export class replace_able_t {
 	replace_data
 	constructor() {
 		// 返回一个可以被替换的代理对象
-		const self = this.replace_data = {
+		this.replace_data = {
 			to: this
 		}
-		return new Proxy(self, {
-			has: (target, prop) => Reflect.has(self.to, prop),
-			get: (target, prop, receiver) => {
-				const result = Reflect.get(self.to, prop, receiver)
-				if (result instanceof Function) return result.bind(self.to)
-				return result
-			},
-			set: (target, prop, value, receiver) => Reflect.set(self.to, prop, value, receiver),
-			getPrototypeOf: (target) => Object.getPrototypeOf(self.to),
-			setPrototypeOf: (target, proto) => Object.setPrototypeOf(self.to, proto),
-			isExtensible: (target) => Object.isExtensible(self.to),
-			preventExtensions: (target) => Object.preventExtensions(self.to),
-			ownKeys: (target) => Reflect.ownKeys(self.to),
-			getOwnPropertyDescriptor: (target, prop) => Object.getOwnPropertyDescriptor(self.to, prop),
-			defineProperty: (target, prop, attributes) => Object.defineProperty(self.to, prop, attributes),
-			deleteProperty: (target, prop) => Reflect.deleteProperty(self.to, prop)
-		})
+		return new Proxy(this.replace_data, replace_able_handler)
 	}
 
 	/**
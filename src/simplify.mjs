@@ -0,0 +1,189 @@
+import { number_node_t, operator_node_t } from './dict_ast.mjs'
+import { operator_registry } from './operators.mjs'
+import { digit_mode_t, collectLiterals, countDigits, countLiterals, parseBases, tagSources } from './digits.mjs'
+import { isInteger } from './rational.mjs'
+
+/**
+ * 判断节点是否为值等于 value 的数字字面量。
+ * @param {import('./dict_ast.mjs').ast_node_t} node AST 节点。
+ * @param {bigint} value 值。
+ * @returns {boolean} 是否为该字面量。
+ */
+function isLiteral(node, value) {
+	return node instanceof number_node_t && node.value === value
+}
+
+/**
+ * 比较两个节点在规范顺序中的先后：数字在前并按值排序，其余按表达式字符串排序。
+ * @param {import('./dict_ast.mjs').ast_node_t} a 节点。
+ * @param {import('./dict_ast.mjs').ast_node_t} b 节点。
+ * @returns {number} 负数表示 a 在前，正数表示 b 在前，0 表示两者相同。
+ */
+export function compareNodes(a, b) {
+	const a_is_number = a instanceof number_node_t
+	const b_is_number = b instanceof number_node_t
+	if (a_is_number !== b_is_number) return a_is_number ? -1 : 1
+	if (a_is_number && a.value !== b.value) return a.value < b.value ? -1 : 1
+	const a_str = String(a)
+	const b_str = String(b)
+	return a_str < b_str ? -1 : a_str > b_str ? 1 : 0
+}
+
+/**
+ * 代数恒等式：x*1、x/1、x+0、x-0、x^1 化为 x，x-x、x*0 化为 0，x/x、x^0、1^x 化为 1，0-x 化为 -x。
+ * @param {operator_node_t} node 子节点已化简的运算符节点。
+ * @returns {import('./dict_ast.mjs').ast_node_t | undefined} 化简结果，不适用时为 undefined。
+ */
+function applyIdentities({ operator, children: [a, b] }) {
+	const same = () => String(a) === String(b)
+	switch (operator) {
+		case '+':
+			if (isLiteral(b, 0n)) return a
+			if (isLiteral(a, 0n)) return b
+			break
+		case '-':
+			if (isLiteral(b, 0n)) return a
+			if (isLiteral(a, 0n)) return new operator_node_t('u-', [b])
+			if (same()) return new number_node_t(0n)
+			break
+		case '*':
+			if (isLiteral(b, 1n)) return a
+			if (isLiteral(a, 1n)) return b
+			if (isLiteral(a, 0n) || isLiteral(b, 0n)) return new number_node_t(0n)
+			break
+		case '/':
+			if (isLiteral(b, 1n)) return a
+			if (same()) return new number_node_t(1n)
+			break
+		case '^':
+			if (isLiteral(b, 1n)) return a
+			if (isLiteral(b, 0n) || isLiteral(a, 1n)) return new number_node_t(1n)
+			break
+		case 'u-':
+			if (isLiteral(a, 0n)) return a
+			break
+	}
+}
+
+/**
+ * 将满足交换律与结合律的运算符链展平，按规范顺序排列操作数后重新组合，如 `5*(4+1)` 化为 `5*(1+4)`。
+ * @param {operator_node_t} node 子节点已化简的运算符节点。
+ * @returns {import('./dict_ast.mjs').ast_node_t | undefined} 排序结果，不适用时为 undefined。
+ */
+function sortOperands(node) {
+	const { operator } = node
+	const spec = operator_registry.get(operator)
+	if (!spec.commutative || spec.associativity !== 'both') return
+	const operands = []
+	const flatten = (child) => {
+		if (child instanceof operator_node_t && child.operator === operator) child.children.forEach(flatten)
+		else operands.push(child)
+	}
+	flatten(node)
+	return operands.sort(compareNodes).reduce((left, right) => new operator_node_t(operator, [left, right]))
+}
+
+/**
+ * 对 AST 做基于规则的化简与规范化，返回新的 AST，不修改传入的节点。
+ * 规则包括：代数恒等式（x*1、x+0、x^1、x-x 等）；值为整数的子表达式折叠为字面量，但只折叠为基数允许的字面量；
+ * 以及对满足交换律的运算符的操作数排序，使相等的表达式化简后字符串相同。
+ * 每一步改写都须保持表达式的值不变。
+ * @param {import('./dict_ast.mjs').ast_node_t} node AST 节点。
+ * @param {object} [options] 选项。
+ * @param {string | number | bigint | (string | number | bigint)[]} [options.base] 基数，常量折叠只产生它的数字组；省略时只产生表达式中已有的字面量。
+ * 给出多个基数时可以产生其中任一基数的数字组，新产生的字面量标注为第一个包含它的基数。
+ * @param {digit_mode_t} [options.mode=digit_mode_t.reuse] 数字使用模式。
+ * @param {boolean} [options.preserveDigits=true] 是否只做不破坏数字用法的改写：
+ * reuse 模式下结果的字面量须为某个基数的数字组，ordered 模式下字面量序列不变，unordered 模式下各数字的个数不变，
+ * numbers 模式下每个字面量的个数不增加。
+ * 为假时恒等式与排序不受此限，可用于判断两个表达式在代数上是否相同。
+ * @param {Iterable<string>} [options.operators] 允许使用的运算符，不含 `-` 时不会折叠出负数。
+ * @param {number} [options.radix=10] 基数的进制，折叠出的字面量以此进制书写。
+ * @returns {import('./dict_ast.mjs').ast_node_t} 化简后的 AST。
+ */
+export function simplify(node, { base, mode = digit_mode_t.reuse, preserveDigits = true, operators, radix = 10 } = {}) {
+	const original_literals = new Set(collectLiterals(node))
+	const bases = base === undefined ? undefined : parseBases(base, radix)
+	const isLegal = (literal) => bases === undefined ? original_literals.has(literal) : bases.some(base => base.includes(literal))
+	const allow_negation = operators === undefined || [...operators].includes('-')
+
+	/**
+	 * 判断将 before 改写为 after 是否保持数字的用法。
+	 * @param {import('./dict_ast.mjs').ast_node_t} before 改写前的节点。
+	 * @param {import('./dict_ast.mjs').ast_node_t} after 改写后的节点。
+	 * @returns {boolean} 是否保持。
+	 */
+	const keepsDigits = (before, after) => {
+		if (!preserveDigits) return true
+		const literals = collectLiterals(after)
+		switch (mode) {
+			case digit_mode_t.reuse:
+				return literals.every(isLegal)
+			case digit_mode_t.ordered:
+				return String(literals) === String(collectLiterals(before))
+			case digit_mode_t.unordered:
+				return JSON.stringify(countDigits(literals.join(''))) === JSON.stringify(countDigits(collectLiterals(before).join('')))
+			case digit_mode_t.numbers: {
+				const available = countLiterals(collectLiterals(before))
+				return Object.entries(countLiterals(literals)).every(([literal, count]) => count <= (available[literal] ?? 0))
+			}
+			default:
+				throw new Error(`未知的数字使用模式：${mode}`)
+		}
+	}
+
+	/**
+	 * 将值为整数的节点折叠为字面量，负数写作一元负号加字面量。
+	 * @param {operator_node_t} node 子节点已化简的运算符节点。
+	 * @returns {import('./dict_ast.mjs').ast_node_t | undefined} 折叠结果，字面量不合法时为 undefined。
+	 */
+	const foldConstant = (node) => {
+		let value
+		try { value = node.calculate() } catch { return }
+		if (!isInteger(value) || value.sign && !value.equals(0) && !allow_negation) return
+		const literal = new number_node_t(BigInt(String(value.abs())), undefined, radix)
+		if (!isLegal(literal.literal)) return
+		return value.sign && !value.equals(0) ? new operator_node_t('u-', [literal]) : literal
+	}
+
+	/**
+	 * 判断两个节点的值是否相同，无法计算时视为不同。
+	 * @param {import('./dict_ast.mjs').ast_node_t} a 节点。
+	 * @param {import('./dict_ast.mjs').ast_node_t} b 节点。
+	 * @returns {boolean} 值是否相同。
+	 */
+	const sameValue = (a, b) => {
+		try { return a.calculate().equals(b.calculate()) } catch { return false }
+	}
+
+	const rules = [foldConstant, applyIdentities, sortOperands]
+	// 共享的子树只化简一次
+	const memo = new Map()
+	const visit = (node) => {
+		if (!(node instanceof operator_node_t)) return node
+		if (memo.has(node)) return memo.get(node)
+		let result = new operator_node_t(node.operator, node.children.map(visit))
+		for (let changed = true; changed;) {
+			changed = false
+			for (const rule of rules) {
+				if (!(result instanceof operator_node_t)) break
+				const next = rule(result)
+				if (!next || String(next) === String(result)) continue
+				if (!keepsDigits(result, next) || !sameValue(result, next)) continue
+				result = next
+				changed = true
+			}
+		}
+		memo.set(node, result)
+		return result
+	}
+
+	// 重新组合的运算符链可能产生新的化简机会，重复直到不再变化
+	let result = node
+	for (let previous; String(result) !== previous;) {
+		previous = String(result)
+		memo.clear()
+		result = visit(result)
+	}
+	return bases?.length > 1 ? tagSources(result, bases) : result
+}
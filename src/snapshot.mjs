@@ -0,0 +1,206 @@
+import { number_node_t, operator_node_t } from './dict_ast.mjs'
+import { operator_registry } from './operators.mjs'
+import { digit_mode_t, checkDigitUsage } from './digits.mjs'
+import { hashString } from './random.mjs'
+import { checkRadix, digitClass, parseRational } from './rational.mjs'
+
+/**
+ * 快照格式标识。
+ * @type {string}
+ */
+export const snapshot_format = 'number-alchemist-dictionary'
+
+/**
+ * 当前的快照版本，格式不兼容地变化时递增。
+ * 版本 2 起字典项的键可以是分数（formatRational 的写法，如 `1/7`），版本 3 起数字字面量可以标注来源基数，
+ * 版本 4 起记录基数的进制，版本 5 起记录有项数上限的字典的子串字典，旧版本的快照仍可读取。
+ * @type {number}
+ */
+export const snapshot_version = 5
+
+/**
+ * 字典快照，可直接 JSON 序列化。
+ *
+ * 字典项之间大量共享子树，且 `add` 替换子树时依赖这种共享，故快照不逐项展开 AST，而是：
+ * 数字字面量编码为字符串，标注了来源基数的编码为 `{ literal, source }`，运算符节点编码为 `[运算符, ...子节点]`，
+ * 引用其他字典项的子节点编码为该项在 `entries` 中的下标。
+ * 子串字典中不在字典里的项依次排在 `entries` 之后，编码为 `tier_entries`，下标接续 `entries` 的下标。
+ * @typedef {object} dictionary_snapshot_t
+ * @property {string} format 格式标识，总是 `snapshot_format`。
+ * @property {number} version 快照版本。
+ * @property {string} base 基数字符串，有多个基数时以逗号分隔。
+ * @property {string} mode 数字使用模式。
+ * @property {number} [radix] 基数的进制，字面量以此进制书写，版本 4 以前的快照没有此项，视为 10。字典项的键总是十进制。
+ * @property {string[]} operators 允许使用的运算符。
+ * @property {[string, any][]} entries 字典项，每项为 `[键, 编码后的 AST]`。
+ * @property {[string, any][]} [tier_entries] 只出现在子串字典中的项，格式同 `entries`。
+ * @property {[string, number[]][]} [tiers] 子串字典，每项为 `[子串, 各项的下标]`，只有构建时设有项数上限的字典才有此项。
+ * @property {string} checksum 以上内容的校验和。
+ */
+
+/**
+ * 计算快照内容的校验和。
+ * @param {Omit<dictionary_snapshot_t, 'checksum'>} snapshot 快照。
+ * @returns {string} 十六进制校验和。
+ */
+function checksumOf({ format, version, base, mode, radix, operators, entries, tier_entries, tiers }) {
+	const fields = [format, version, base, mode, operators, entries]
+	if (radix !== undefined) fields.push(radix)
+	if (tiers !== undefined) fields.push(tier_entries, tiers)
+	return hashString(JSON.stringify(fields)).toString(16).padStart(8, '0')
+}
+
+/**
+ * 生成字典的快照，包含证明过程中学到的字典项，以及用于按需扩展的子串字典。
+ * @param {{ base: string, mode: string, radix: number, operators: Set<string>, data: Map<string, import('./dict_ast.mjs').ast_node_t>, tiers?: Map<string, Map<string, import('./dict_ast.mjs').ast_node_t>> }} dict 表达式字典。
+ * @returns {dictionary_snapshot_t} 快照。
+ */
+export function createSnapshot(dict) {
+	const keys = [...dict.data.keys()]
+	/** @type {Map<object, number>} 字典项与子串字典项的节点到下标的映射 */
+	const indexes = new Map(keys.map((key, index) => [dict.data.get(key), index]))
+	/** @type {[string, import('./dict_ast.mjs').ast_node_t][]} 只出现在子串字典中的项 */
+	const tier_items = []
+	for (const tier of dict.tiers?.values() ?? [])
+		for (const [key, node] of tier)
+			if (!indexes.has(node)) {
+				indexes.set(node, keys.length + tier_items.length)
+				tier_items.push([key, node])
+			}
+	const encode = (node, is_root) => {
+		if (!is_root && indexes.has(node)) return indexes.get(node)
+		if (node instanceof number_node_t) return node.source === undefined ? node.literal : { literal: node.literal, source: node.source }
+		return [node.operator, ...node.children.map(child => encode(child, false))]
+	}
+	const snapshot = {
+		format: snapshot_format,
+		version: snapshot_version,
+		base: dict.base,
+		mode: dict.mode,
+		radix: dict.radix,
+		operators: [...dict.operators],
+		entries: keys.map(key => [key, encode(dict.data.get(key), true)]),
+	}
+	if (dict.tiers) {
+		snapshot.tier_entries = tier_items.map(([key, node]) => [key, encode(node, true)])
+		snapshot.tiers = [...dict.tiers].map(([substring, tier]) => [substring, [...tier.values()].map(node => indexes.get(node))])
+	}
+	return { ...snapshot, checksum: checksumOf(snapshot) }
+}
+
+/**
+ * 读取并校验快照，还原字典数据。
+ * 除校验和外还会重新计算每一项的值并检查其数字用法，拒绝损坏或被篡改的快照。
+ * @param {dictionary_snapshot_t | string} snapshot 快照或其 JSON 字符串。
+ * @param {object} [expected] 期望的字典参数，给出时与快照不符即拒绝。
+ * @param {string} [expected.base] 基数字符串。
+ * @param {string} [expected.mode] 数字使用模式。
+ * @param {number} [expected.radix] 基数的进制。
+ * @param {Iterable<string>} [expected.operators] 允许使用的运算符。
+ * @returns {{ base: string, mode: string, radix: number, operators: string[], data: Map<string, import('./dict_ast.mjs').ast_node_t>, tiers?: Map<string, Map<string, import('./dict_ast.mjs').ast_node_t>> }}
+ * 字典参数与数据，快照记录了子串字典时还包括 `tiers`。
+ * @throws {Error} 如果快照损坏、版本不受支持或与期望不符。
+ */
+export function readSnapshot(snapshot, expected = {}) {
+	if (Object(snapshot) instanceof String) try {
+		snapshot = JSON.parse(snapshot)
+	} catch (e) {
+		throw new Error(`快照已损坏：${e.message}`)
+	}
+	if (snapshot?.format !== snapshot_format) throw new Error('不是表达式字典的快照')
+	if (!(snapshot.version >= 1 && snapshot.version <= snapshot_version))
+		throw new Error(`不支持的快照版本：${snapshot.version}，当前版本为 ${snapshot_version}`)
+	const { base, mode, operators, entries, tier_entries = [], tiers } = snapshot
+	if (!Array.isArray(entries) || !Array.isArray(operators) || !Array.isArray(tier_entries) || tiers !== undefined && !Array.isArray(tiers) || snapshot.checksum !== checksumOf(snapshot))
+		throw new Error('快照已损坏：校验和不符')
+
+	if (expected.base !== undefined && String(expected.base) !== base)
+		throw new Error(`快照与期望的字典不符：基数为 ${base} 而非 ${expected.base}`)
+	if (expected.mode !== undefined && expected.mode !== mode)
+		throw new Error(`快照与期望的字典不符：数字使用模式为 ${mode} 而非 ${expected.mode}`)
+	let radix
+	try {
+		radix = checkRadix(snapshot.radix ?? 10)
+	} catch (e) {
+		throw new Error(`快照已损坏：${e.message}`)
+	}
+	if (expected.radix !== undefined && Number(expected.radix) !== radix)
+		throw new Error(`快照与期望的字典不符：进制为 ${radix} 而非 ${expected.radix}`)
+	if (expected.operators !== undefined) {
+		const expected_operators = [...new Set(expected.operators)].sort()
+		if (String(expected_operators) !== String([...operators].sort()))
+			throw new Error(`快照与期望的字典不符：运算符为 ${operators.join(' ')} 而非 ${expected_operators.join(' ')}`)
+	}
+
+	const allowed = new Set(operators)
+	const literal_pattern = new RegExp(`^[${digitClass(radix)}]+$`)
+	const all_entries = entries.concat(tier_entries)
+	const nodes = []
+	const decoding = new Set()
+	const decodeEntry = (index) => {
+		if (nodes[index]) return nodes[index]
+		if (!all_entries[index]) throw new Error(`快照已损坏：引用了不存在的字典项 ${index}`)
+		if (decoding.has(index)) throw new Error(`快照已损坏：字典项 ${all_entries[index][0]} 引用了自身`)
+		decoding.add(index)
+		nodes[index] = decode(all_entries[index][1])
+		decoding.delete(index)
+		return nodes[index]
+	}
+	const decode = (json) => {
+		if (Number.isInteger(json)) return decodeEntry(json)
+		if (Object(json) instanceof String) {
+			if (!literal_pattern.test(json)) throw new Error(`快照已损坏：非法的数字字面量 ${json}`)
+			return new number_node_t(json, undefined, radix)
+		}
+		if (json?.literal !== undefined) {
+			if (!literal_pattern.test(json.literal) || !literal_pattern.test(json.source)) throw new Error(`快照已损坏：非法的数字字面量 ${JSON.stringify(json)}`)
+			return new number_node_t(json.literal, json.source, radix)
+		}
+		const [operator, ...children] = Array.isArray(json) ? json : []
+		const spec = operator_registry.get(operator)
+		if (!spec || !(allowed.has(operator) || operator === 'u-' && allowed.has('-')) || children.length !== spec.arity)
+			throw new Error(`快照已损坏：非法的节点 ${JSON.stringify(json)}`)
+		return new operator_node_t(operator, children.map(decode))
+	}
+
+	for (let index = 0; index < all_entries.length; index++) {
+		const [key] = all_entries[index]
+		const node = decodeEntry(index)
+		let value
+		try {
+			value = node.calculate()
+		} catch {
+			throw new Error(`快照已损坏：字典项 ${key} 无法计算`)
+		}
+		if (!value.equals(parseRational(key)))
+			throw new Error(`快照已损坏：字典项 ${key} 的值为 ${value}`)
+	}
+	const data = new Map()
+	for (let index = 0; index < entries.length; index++) {
+		const [key] = entries[index]
+		if (!checkDigitUsage(mode === digit_mode_t.numbers ? base : base.split(','), nodes[index], mode, radix).valid)
+			throw new Error(`快照已损坏：字典项 ${key} 不符合 ${mode} 模式的数字用法`)
+		data.set(key, nodes[index])
+	}
+	if (!tiers) return { base, mode, radix, operators, data }
+
+	// 子串字典的项在 reuse 模式下可能已被原地替换为更短的证明，只须符合字典的数字用法；ordered 模式下须恰好按顺序用尽子串
+	if (mode !== digit_mode_t.reuse && mode !== digit_mode_t.ordered)
+		throw new Error(`快照已损坏：${mode} 模式的字典没有子串字典`)
+	const bases = base.split(',')
+	const tier_map = new Map()
+	for (const [substring, indexes] of tiers) {
+		if (!bases.some(item => item.includes(substring)) || !Array.isArray(indexes))
+			throw new Error(`快照已损坏：非法的子串字典 ${substring}`)
+		const tier = new Map()
+		for (const index of indexes) {
+			if (!Number.isInteger(index) || !nodes[index]) throw new Error(`快照已损坏：引用了不存在的字典项 ${index}`)
+			const [key] = all_entries[index]
+			if (!checkDigitUsage(mode === digit_mode_t.reuse ? bases : [substring], nodes[index], mode, radix).valid)
+				throw new Error(`快照已损坏：子串字典 ${substring} 的项 ${key} 不符合 ${mode} 模式的数字用法`)
+			tier.set(key, nodes[index])
+		}
+		tier_map.set(substring, tier)
+	}
+	return { base, mode, radix, operators, data, tiers: tier_map }
+}
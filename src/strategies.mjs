@@ -0,0 +1,362 @@
+import { bigfloat } from '@steve02081504/bigfloat'
+import { operator_node_t } from './dict_ast.mjs'
+import { operator_registry } from './operators.mjs'
+import { rethrowAbort } from './errors.mjs'
+import { factorInteger, balancedFactorPair, integerRoot, gcd } from './factor.mjs'
+import { formatRational, isInteger, reducedFraction } from './rational.mjs'
+
+/**
+ * 证明策略运行时可用的上下文，每个目标各有一份。
+ * @typedef {object} strategy_context_t
+ * @property {import('./dict.mjs').expression_dictionary_t} dict 字典。
+ * @property {bigfloat} num 目标。
+ * @property {(operator: string) => boolean} can_use 判断运算符是否允许使用。
+ * @property {(num: bigfloat) => Promise<import('./dict_ast.mjs').ast_node_t>} prove 在下一层深度证明子目标，无法证明时抛出。
+ * @property {(node: import('./dict_ast.mjs').ast_node_t) => Promise<import('./dict_ast.mjs').ast_node_t>} use 提交目标的一个证明，字典保留较短者。
+ * @property {import('./dict_ast.mjs').ast_node_t | undefined} result 目前为止最好的证明。
+ * @property {(() => number) | undefined} random 随机数生成器，完全不使用随机数时为 undefined。
+ * @property {import('./budget.mjs').search_budget_t} budget 搜索预算，耗时较长的计算应定期调用其 `pause`。
+ */
+
+/**
+ * 证明策略的描述。
+ * @typedef {object} strategy_t
+ * @property {string} name 策略名称。
+ * @property {string[]} requires 策略用到的运算符，有任一不允许使用时跳过该策略。
+ * @property {(num: bigfloat, context: strategy_context_t) => boolean} applicable 判断策略是否适用于目标。
+ * @property {(context: strategy_context_t) => Promise<void>} run 运行策略，通过 `context.use` 提交找到的证明；
+ * 单个候选失败时应吞掉错误继续尝试，但须让 abort_error_t 继续传播。
+ * @property {boolean} fallback 是否只在之前的策略都没有找到证明时运行，为真时已有证明即结束搜索。
+ * @property {number} weight 权重，策略按权重从高到低运行，权重相同时保持原有顺序，为 0 时不运行。
+ */
+
+/**
+ * 证明策略注册表，键为策略名称，顺序即默认的运行顺序。
+ * @type {Map<string, strategy_t>}
+ */
+export const strategy_registry = new Map()
+
+/**
+ * 注册一个证明策略，已存在的同名策略会被覆盖。
+ * @param {string} name 策略名称。
+ * @param {Partial<strategy_t> & Pick<strategy_t, 'run'>} spec 策略描述。
+ * @returns {strategy_t} 补全默认值后的策略描述。
+ */
+export function registerStrategy(name, spec) {
+	const result = normalizeStrategy({ ...spec, name })
+	strategy_registry.set(name, result)
+	return result
+}
+
+/**
+ * 补全策略描述的默认值。
+ * @param {Partial<strategy_t> & Pick<strategy_t, 'name' | 'run'>} spec 策略描述。
+ * @returns {strategy_t} 补全后的策略描述。
+ */
+function normalizeStrategy(spec) {
+	return {
+		requires: [],
+		applicable: () => true,
+		fallback: false,
+		weight: 1,
+		...spec,
+	}
+}
+
+/**
+ * 将 proveAst 的 `strategies` 选项解析为按运行顺序排列的策略描述。
+ * 每一项可以是已注册的策略名称、完整的策略描述，或带有 `name` 的部分描述（如 `{ name: 'factorize', weight: 2 }`），
+ * 后者覆盖已注册策略的对应字段。同名的项合并为一项，位置取第一次出现处，字段以后出现的为准。
+ * @param {Iterable<string | Partial<strategy_t>>} [strategies=default_strategies] 要使用的策略。
+ * @returns {strategy_t[]} 权重大于 0 的策略，按权重从高到低排列，权重相同时保持给出的顺序。
+ * @throws {Error} 如果策略未注册或缺少 run。
+ */
+export function resolveStrategies(strategies = default_strategies) {
+	const result = new Map()
+	for (let item of strategies) {
+		if (Object(item) instanceof String) item = { name: item }
+		const base = result.get(item.name) ?? strategy_registry.get(item.name)
+		if (!base && !item.run) throw new Error(`未知的证明策略：${item.name}`)
+		result.set(item.name, normalizeStrategy({ ...base, ...item }))
+	}
+	return [...result.values()]
+		.filter(strategy => strategy.weight > 0)
+		.sort((a, b) => b.weight - a.weight)
+}
+
+/**
+ * 求 BigInt 的绝对值。
+ * @param {bigint} n 整数。
+ * @returns {bigint} 绝对值。
+ */
+function bigintAbs(n) {
+	return n < 0n ? -n : n
+}
+
+const is_integer = (num) => isInteger(num)
+const is_fraction = (num) => !isInteger(num)
+
+// 内置策略，注册顺序即默认的运行顺序
+registerStrategy('fraction-parts', {
+	requires: ['/'],
+	applicable: is_fraction,
+	// 约分后分别证明分子与分母
+	run: async ({ num, prove, use }) => {
+		const { numerator, denominator } = reducedFraction(num)
+		const numerator_proof = await prove(bigfloat(num.sign ? -numerator : numerator))
+		const denominator_proof = await prove(bigfloat(denominator))
+		await use(new operator_node_t('/', [numerator_proof, denominator_proof]))
+	},
+})
+registerStrategy('fraction-offset', {
+	applicable: is_fraction,
+	// 借助字典中的分数：目标 = 分数 + 整数，或 目标 = 分数 * 整数，整数部分越小越好
+	run: async ({ dict, num, can_use, prove, use }) => {
+		const candidates = []
+		for (const key of dict.getFractionKeys()) {
+			const diff = num.sub(key)
+			if (can_use('+') && isInteger(diff)) candidates.push({ key, operator: '+', operand: diff })
+			const ratio = num.div(key)
+			if (can_use('*') && isInteger(ratio) && !ratio.abs().equals(1)) candidates.push({ key, operator: '*', operand: ratio })
+		}
+		candidates.sort((a, b) => a.operand.abs().compare(b.operand.abs()))
+		for (const { key, operator, operand } of candidates.slice(0, 3)) try {
+			const operand_proof = await prove(operand)
+			await use(new operator_node_t(operator, [dict.getAst(key), operand_proof]))
+		} catch (e) { rethrowAbort(e) }
+	},
+})
+registerStrategy('factorize', {
+	requires: ['*'],
+	applicable: is_integer,
+	// 分解质因数后组合因子：乘积尽可能接近的两组；可以使用幂运算时，完全幂写作 m^k，最大的素数幂写作 p^e 再乘以其余因子
+	// 超出字典范围的素数无法分解，写作 (p-1)+1，负素数写作 1-(p+1)，使其在回退策略逐个尝试字典键之前就有证明
+	run: async ({ dict, num, can_use, prove, use, budget }) => {
+		const n = BigInt(String(num.abs()))
+		const factors = await factorInteger(n, budget)
+		if (factors.length === 1 && factors[0].exponent === 1n) {
+			if (!(num.abs().greaterThan(dict.getIntegerKeys()[0] ?? 0))) return
+			try {
+				if (!num.sign && can_use('+'))
+					await use(new operator_node_t('+', [await prove(bigfloat(n - 1n)), await prove(bigfloat(1))]))
+				else if (num.sign && can_use('-'))
+					await use(new operator_node_t('-', [await prove(bigfloat(1)), await prove(bigfloat(n + 1n))]))
+			} catch (e) { rethrowAbort(e) }
+			return
+		}
+		const [small, large] = balancedFactorPair(factors)
+		if (small !== 1n) try {
+			await use(num.sign
+				? new operator_node_t('*', [await prove(bigfloat(small)), await prove(bigfloat(-large))])
+				: new operator_node_t('*', [await prove(bigfloat(large)), await prove(bigfloat(small))]))
+		} catch (e) { rethrowAbort(e) }
+		if (!can_use('^')) return
+
+		const power = async (base, exponent) => new operator_node_t('^', [await prove(bigfloat(base)), await prove(bigfloat(exponent))])
+		const exponent = factors.reduce((result, factor) => gcd(result, factor.exponent), 0n)
+		if (exponent > 1n && !num.sign) try {
+			const root = factors.reduce((product, { prime, exponent: e }) => product * prime ** (e / exponent), 1n)
+			await use(await power(root, exponent))
+		} catch (e) { rethrowAbort(e) }
+		const largest = factors.filter(factor => factor.exponent > 1n)
+			.reduce((best, factor) => !best || factor.prime ** factor.exponent > best.prime ** best.exponent ? factor : best, undefined)
+		if (largest && largest.prime ** largest.exponent !== n) try {
+			const rest = n / largest.prime ** largest.exponent
+			await use(new operator_node_t('*', [await power(largest.prime, largest.exponent), await prove(bigfloat(num.sign ? -rest : rest))]))
+		} catch (e) { rethrowAbort(e) }
+	},
+})
+registerStrategy('power-division', {
+	requires: ['*'],
+	applicable: is_integer,
+	// 目标 = 键^次数 * 余下的积，不能使用幂运算时只除一次
+	run: async ({ dict, num, can_use, prove, use, random }) => {
+		const key_list = dict.getIntegerKeys()
+		for (let i = 0; i < key_list.length; i++) try {
+			const key = key_list[i]
+			// 除以 ±1 不会使目标变小，除以 -1 只会把正的目标变为更难证明的负数
+			if (key.isInf() || key.equals(0) || key.abs().equals(1)) continue
+			let product = num
+			let times = 0n
+			while (true) {
+				const new_product = product.div(key)
+				if (!new_product.lessThan(product)) break
+				if (new_product.floor().equals(new_product)) {
+					product = new_product
+					times++
+				} else break
+				if (!can_use('^')) break
+			}
+			if (times > 0) {
+				const times_proof = await prove(bigfloat(times))
+				const product_proof = await prove(product)
+				await use(new operator_node_t('*', [
+					times > 1 ? new operator_node_t('^', [dict.getAst(key), times_proof]) : dict.getAst(key),
+					product_proof,
+				]))
+				if (!random || random() > 2 / 3) break
+				else i -= Math.floor(random() * (key_list.length - i))
+			}
+		} catch (e) { rethrowAbort(e) }
+	},
+})
+registerStrategy('key-division', {
+	requires: ['/'],
+	applicable: is_integer,
+	// 目标 = 字典中的积 / 键
+	run: async ({ dict, num, use }) => {
+		for (const key of dict.getIntegerKeys()) try {
+			if (key.equals(0)) continue
+			const product_str = formatRational(num.mul(key))
+			if (dict.data.has(product_str))
+				await use(new operator_node_t('/', [dict.data.get(product_str), dict.getAst(key)]))
+		} catch (e) { rethrowAbort(e) }
+	},
+})
+registerStrategy('inverse', {
+	applicable: is_integer,
+	// 自定义运算符：借助运算符提供的反解函数拆分目标
+	run: async ({ dict, num, prove, use }) => {
+		for (const operator of dict.operators) {
+			const { arity, inverse } = operator_registry.get(operator)
+			if (!inverse) continue
+			if (arity === 1) try {
+				const operand = inverse(num, { radix: dict.radix })
+				if (operand?.abs().lessThan(num.abs()))
+					await use(new operator_node_t(operator, [await prove(operand)]))
+			} catch (e) { rethrowAbort(e) }
+			else for (const key of dict.getIntegerKeys()) try {
+				const right = inverse(num, key, { radix: dict.radix })
+				if (!right?.abs().lessThan(num.abs())) continue
+				const right_proof = await prove(right)
+				await use(new operator_node_t(operator, [dict.getAst(key), right_proof]))
+				break
+			} catch (e) { rethrowAbort(e) }
+		}
+	},
+})
+registerStrategy('quotient-remainder', {
+	requires: ['*', '+'],
+	applicable: is_integer,
+	// 目标 = 键 * 商 + 余数
+	run: async ({ dict, num, prove, use, random }) => {
+		const key_list = dict.getIntegerKeys()
+		for (let i = 0; i < key_list.length; i++) try {
+			const key = key_list[i]
+			if (key.isInf() || key.equals(0)) continue
+			const mod_result = num.mod(key)
+			if (mod_result.abs().lessThan(num.abs())) {
+				const quotient = num.div(key).floor()
+				const quotient_proof = await prove(quotient)
+				const mod_result_proof = await prove(mod_result)
+				await use(new operator_node_t('+', [
+					new operator_node_t('*', [dict.getAst(key), quotient_proof]),
+					mod_result_proof,
+				]))
+				if (!random || random() > 2 / 3) break
+				else i -= Math.floor(random() * (key_list.length - i))
+			}
+		} catch (e) { rethrowAbort(e) }
+	},
+})
+registerStrategy('add-key', {
+	requires: ['+'],
+	applicable: is_integer,
+	fallback: true,
+	// 目标 = 键 + 差
+	run: async ({ dict, num, prove, use }) => {
+		for (const key of dict.getIntegerKeys()) try {
+			const diff = num.sub(key)
+			if (diff.abs().lessThan(num.abs()))
+				await use(new operator_node_t('+', [dict.getAst(key), await prove(diff)]))
+		} catch (e) { rethrowAbort(e) }
+	},
+})
+registerStrategy('subtract-key', {
+	requires: ['-'],
+	applicable: is_integer,
+	fallback: true,
+	// 目标 = 和 - 键
+	run: async ({ dict, num, prove, use }) => {
+		for (const key of dict.getIntegerKeys()) try {
+			const sum = num.add(key)
+			if (dict.data.has(formatRational(sum)) || sum.abs().lessThan(num.abs()))
+				await use(new operator_node_t('-', [await prove(sum), dict.getAst(key)]))
+		} catch (e) { rethrowAbort(e) }
+	},
+})
+
+// 可选的策略，需在 strategies 选项中显式启用
+registerStrategy('digit-expansion', {
+	requires: ['*', '+'],
+	applicable: (num) => isInteger(num) && num.greaterThan(0),
+	// 以字典中的键 k 为进制展开目标，按秦九韶算法写作 (d₂*k+d₁)*k+d₀，各位数字均小于 k
+	run: async ({ dict, num, prove, use }) => {
+		const target = BigInt(String(num))
+		let tried = 0
+		// 只取满足 k² ≤ 目标的最大两个键，使展开至少有三位
+		for (const key of dict.getIntegerKeys()) {
+			const radix = BigInt(String(key))
+			if (radix < 2n || radix * radix > target) continue
+			if (tried++ === 2) break
+			try {
+				const digits = []
+				for (let rest = target; rest; rest /= radix) digits.unshift(rest % radix)
+				let node = await prove(bigfloat(digits[0]))
+				for (const digit of digits.slice(1)) {
+					node = new operator_node_t('*', [node, dict.getAst(key)])
+					if (digit) node = new operator_node_t('+', [node, await prove(bigfloat(digit))])
+				}
+				await use(node)
+			} catch (e) { rethrowAbort(e) }
+		}
+	},
+})
+registerStrategy('perfect-power', {
+	requires: ['^', '+'],
+	applicable: (num) => isInteger(num) && num.greaterThan(3),
+	// 目标 = 最接近的完全幂 b^e + 偏移量，取偏移量最小的两个
+	run: async ({ num, prove, use }) => {
+		const target = BigInt(String(num))
+		const candidates = []
+		for (let exponent = 2n; 2n ** exponent <= target; exponent++) {
+			const root = integerRoot(target, exponent)
+			for (const base of [root, root + 1n])
+				if (base >= 2n) candidates.push({ base, exponent, offset: target - base ** exponent })
+		}
+		candidates.sort((a, b) => {
+			const [a_offset, b_offset] = [bigintAbs(a.offset), bigintAbs(b.offset)]
+			return a_offset < b_offset ? -1 : a_offset > b_offset ? 1 : 0
+		})
+		for (const { base, exponent, offset } of candidates.slice(0, 2)) try {
+			const power = new operator_node_t('^', [await prove(bigfloat(base)), await prove(bigfloat(exponent))])
+			await use(offset ? new operator_node_t('+', [power, await prove(bigfloat(offset))]) : power)
+		} catch (e) { rethrowAbort(e) }
+	},
+})
+registerStrategy('continued-fraction', {
+	requires: ['+', '/'],
+	applicable: is_fraction,
+	// 目标 = a + 1/x，其中 a 为整数部分，x = 1/(目标 - a) 的分母更小，递归地展开为连分数
+	run: async ({ num, prove, use }) => {
+		const integer_part = num.floor()
+		const tail = new operator_node_t('/', [await prove(bigfloat(1)), await prove(bigfloat(1).div(num.sub(integer_part)))])
+		await use(integer_part.equals(0) ? tail : new operator_node_t('+', [await prove(integer_part), tail]))
+	},
+})
+
+/**
+ * 默认启用的证明策略。
+ * @type {string[]}
+ */
+export const default_strategies = [
+	'fraction-parts',
+	'fraction-offset',
+	'factorize',
+	'power-division',
+	'key-division',
+	'inverse',
+	'quotient-remainder',
+	'add-key',
+	'subtract-key',
+]
@@ -1,25 +1,17 @@
-import { expression_dictionary_t, bigfloat } from './index.mjs'
+import { expression_dictionary_t, bigfloat, ast_node_t, abort_error_t, parse_error_t, parseExpression, verify, formatCalculationSteps, renderExpression, collectLiterals, createWorkerDictionary, formatRational, parseRational, readSnapshot, simplify, getCost, constraint_error_t, number_node_t, operator_node_t, node_store_t, add, generateRecursive, generateTiered, findCombination, default_strategies, resolveStrategies, factorInteger, isProbablePrime, balancedFactorPair } from './index.mjs'
 import ansiEscapes from 'ansi-escapes'
 
 expression_dictionary_t.prototype.test = async function(num) {
 	num = bigfloat(num)
 	const proof = await this.prove(num, { max_depth: 17 })
-	const num_result = bigfloat.eval(proof.replaceAll('^', '**'))
-	if (num_result.equals(num))
-		return proof
-	else {
-		let result2
-		try {
-			result2 = eval(proof.replaceAll('^', '**'))
-		} catch (e) {
-			console.log(`证明 ${num} 失败：${proof} -> ${num_result}`)
-			throw e
-		}
-		if (num_result.equals(result2))
-			throw new Error(`证明 ${num} 失败：${proof} -> ${num_result}`)
-		else
-			throw new Error(`bigfloat.eval 有问题，证明 ${num} 失败：${proof} -> ${num_result}(from bigfloat.eval) != ${result2}(from eval)`)
-	}
+	// 独立验证证明的值与数字用法
+	const report = verify(this.base, proof, { mode: this.mode, target: num, operators: this.operators })
+	if (!report.valid)
+		throw new Error(`证明 ${num} 失败：${proof}\n${report.violations.map(violation => violation.message).join('\n')}`)
+	// 解析证明应得到相同的表达式
+	if (String(report.ast) !== proof)
+		throw new Error(`解析证明 ${num} 失败：${proof} -> ${report.ast}`)
+	return proof
 }
 
 const dict = expression_dictionary_t(114514)
@@ -47,3 +39,595 @@ for (let i = 0; i < 100; i++) {
 	const num = Math.floor(Math.random() * 10000000) - 5000000
 	await testlog(num)
 }
+
+// 受限运算符集：证明中不应出现被禁用的运算符
+const restricted_dict = expression_dictionary_t(114514, { operators: ['+', '-', '*'] })
+for (const num of [0, 7, 1000, -3, 1919810]) {
+	const proof = await restricted_dict.test(num)
+	if (/[%^/]/.test(proof)) throw new Error(`证明 ${num} 使用了被禁用的运算符：${proof}`)
+	console.log(proof)
+}
+// 无法达成的目标应当干净地失败
+{
+	const only_mul = expression_dictionary_t(2, { operators: ['*'] })
+	let failed = false
+	try { await only_mul.prove(3) } catch (e) { failed = true }
+	if (!failed) throw new Error('仅乘法时不应能用 2 证明 3')
+}
+// 自定义运算符：结果需能正确计算并经 JSON 往返
+{
+	const meme_dict = expression_dictionary_t(114514, { operators: ['+', '-', '*', '!', '||'] })
+	for (const num of [24, 720, 1145, 1919810]) {
+		const ast = await meme_dict.proveAst(num, { max_depth: 17 })
+		if (!ast.calculate().equals(num)) throw new Error(`证明 ${num} 失败：${ast}`)
+		if (String(ast_node_t.fromJSON(JSON.parse(JSON.stringify(ast)))) !== String(ast))
+			throw new Error(`JSON 往返失败：${ast}`)
+		console.log(String(ast))
+	}
+}
+// 数字使用模式：证明需恰好用尽基数的每一位
+for (const [base, mode, targets] of [
+	['114514', 'ordered', [0, 7, 100, -3]],
+	['02081504', 'ordered', [10, 100]],
+	['114514', 'unordered', [1000, 7]],
+]) {
+	const mode_dict = expression_dictionary_t(base, { mode })
+	for (const num of targets) {
+		const ast = await mode_dict.proveAst(num)
+		const report = mode_dict.getDigitReport(ast)
+		if (!ast.calculate().equals(num) || !report.valid)
+			throw new Error(`${mode} 模式下证明 ${num} 失败：${ast} ${JSON.stringify(report.violations)}`)
+		console.log(String(ast))
+	}
+}
+// 最优搜索：小目标应能证明最优性
+for (const [num, cost, expected_cost] of [[7, 'symbols', 4], [1000, 'nodes', 3]]) {
+	const { ast, cost: result_cost, optimal } = await dict.proveOptimal(num, { cost })
+	if (!ast.calculate().equals(num) || !optimal || result_cost !== expected_cost)
+		throw new Error(`最优证明 ${num} 失败：${ast}（代价 ${result_cost}，最优性 ${optimal}）`)
+	console.log(String(ast))
+}
+try {
+	await expression_dictionary_t('12', { mode: 'ordered' }).proveOptimal('1/7')
+	throw new Error('无法证明的分数应当报错')
+} catch (e) {
+	if (!e.message.includes(' 1/7 ')) throw new Error(`错误信息应以分数形式给出目标：${e.message}`)
+}
+// 可复现的搜索：相同的种子在新建字典上得到相同的表达式
+for (const options of [{ seed: 42 }, { deterministic: true }]) {
+	const proofs = new Set()
+	for (let i = 0; i < 2; i++)
+		proofs.add(await expression_dictionary_t(114514).prove(45450721, options))
+	if (proofs.size !== 1) throw new Error(`${JSON.stringify(options)} 下的证明不可复现：${[...proofs].join(' / ')}`)
+}
+// 搜索预算：超时返回目前最好的结果，取消则抛出 abort_error_t
+{
+	const budget_dict = expression_dictionary_t(114514)
+	const start = Date.now()
+	try {
+		const proof = await budget_dict.prove(987654321987, { timeout: 50 })
+		if (!bigfloat.eval(proof.replaceAll('^', '**')).equals(987654321987))
+			throw new Error(`超时后返回的证明有误：${proof}`)
+	} catch (e) {
+		// 超时前尚未找到任何表达式
+		if (!(e instanceof abort_error_t) || e.reason !== 'timeout') throw e
+	}
+	if (Date.now() - start > 5000) throw new Error(`超时没有及时生效：${Date.now() - start} 毫秒`)
+	// optimize 模式下启发式搜索与最佳优先搜索共用同一份预算
+	for (const options of [{ timeout: 100 }, { maxNodes: 10 }]) {
+		const optimize_start = Date.now()
+		try {
+			const ast = await budget_dict.proveAst(98765431, { optimize: true, ...options })
+			if (!ast.calculate().equals(98765431)) throw new Error(`预算耗尽后返回的最优证明有误：${ast}`)
+		} catch (e) {
+			if (!(e instanceof abort_error_t) || e.reason === 'abort') throw e
+		}
+		if (Date.now() - optimize_start > 1000)
+			throw new Error(`optimize 模式下 ${JSON.stringify(options)} 没有及时生效：${Date.now() - optimize_start} 毫秒`)
+	}
+	const controller = new AbortController()
+	controller.abort()
+	try {
+		await budget_dict.prove(9876543219871123n, { signal: controller.signal })
+		throw new Error('取消后的搜索没有中止')
+	} catch (e) {
+		if (!(e instanceof abort_error_t) || e.reason !== 'abort') throw e
+	}
+}
+// 工作线程中的字典：接口与主线程一致，并能流式传回进度
+{
+	const worker_dict = await createWorkerDictionary(114514)
+	let progress = 0
+	try {
+		const ast = await worker_dict.proveAst(1919810, { onProgress: () => progress++ })
+		if (!ast.calculate().equals(1919810) || !progress)
+			throw new Error(`工作线程中证明 1919810 失败：${ast}`)
+		if (!(await worker_dict.getAst(7))?.calculate().equals(7))
+			throw new Error('工作线程中的字典缺少 7')
+		const alternatives = []
+		for await (const { ast } of worker_dict.proveAll(1000, { limit: 2 })) alternatives.push(ast)
+		if (alternatives.length !== 2 || !alternatives.every(ast => ast.calculate().equals(1000)))
+			throw new Error(`工作线程中 proveAll(1000) 的结果有误：${alternatives.join(', ')}`)
+		console.log(String(ast))
+	}
+	finally {
+		worker_dict.terminate()
+	}
+}
+// 字典快照：保存学到的字典项，并拒绝损坏或不符的快照
+{
+	const snapshot_dict = expression_dictionary_t(114514)
+	await snapshot_dict.prove(1919810)
+	const snapshot = JSON.stringify(snapshot_dict.save())
+	const loaded = expression_dictionary_t.load(snapshot, { base: '114514', operators: snapshot_dict.operators })
+	if (loaded.data.size !== snapshot_dict.data.size || !loaded.getAst(1919810)?.calculate().equals(1919810))
+		throw new Error('快照恢复的字典与原字典不一致')
+	if (JSON.stringify(loaded.save()) !== snapshot) throw new Error('快照的保存与恢复不可逆')
+	for (const [bad, expected] of [
+		[snapshot.replace('"1"', '"2"'), {}],
+		[snapshot.slice(0, -10), {}],
+		[snapshot, { operators: ['+', '-'] }],
+		[snapshot, { base: '1919810' }],
+	]) {
+		let rejected = false
+		try { expression_dictionary_t.load(bad, expected) } catch { rejected = true }
+		if (!rejected) throw new Error('损坏或不符的快照没有被拒绝')
+	}
+}
+// 表达式解析：与 toString 互逆，并在出错时给出位置
+{
+	const parser_dict = expression_dictionary_t(114514, { operators: ['+', '-', '*', '/', '%', '^', '!', '√', '||', 'xor'] })
+	for (const [key, node] of parser_dict.data) {
+		const str = String(node)
+		const parsed = parseExpression(str)
+		if (String(parsed) !== str || !parsed.calculate().equals(parseRational(key)))
+			throw new Error(`解析 ${str} 失败：${parsed}`)
+	}
+	for (const [expression, value] of [['2^3^2', 512], ['(-2)^3', -8], ['10-4-3', 3], ['-4!', -24], ['1||4!', 124], ['5 xor 3', 6]])
+		if (!parseExpression(expression).calculate().equals(value))
+			throw new Error(`解析 ${expression} 的结果不是 ${value}`)
+	for (const [expression, position] of [['1+', 2], ['(1+2', 4], ['1+2)', 3], ['1 $ 2', 2], ['-2^2', 2]]) {
+		let error
+		try { parseExpression(expression) } catch (e) { error = e }
+		if (!(error instanceof parse_error_t) || error.position !== position)
+			throw new Error(`解析 ${expression} 时应在位置 ${position} 报错，实际为 ${error?.message}`)
+	}
+}
+// 独立验证：检查值与数字来源，给出结构化的违规报告
+for (const [base, expression, options, types] of [
+	[114514, '1000 = (((11-4)*5)+1+4)*(11+4+5+1+4)', {}, []],
+	[114514, '1+1+4+5+1+4', { mode: 'ordered', target: 16 }, []],
+	[114514, '4+1+1+5+1+4', { mode: 'ordered', target: 16 }, ['digit-order']],
+	[114514, '4+1+1+5+1+4', { mode: 'unordered', target: 16 }, []],
+	[114514, '12+3', { target: 16 }, ['value-mismatch', 'illegal-literal', 'illegal-literal']],
+	[114514, '1/(1-1)', {}, ['evaluation']],
+	[114514, '11^4', { operators: ['+', '-'] }, ['illegal-operator']],
+	[114514, '1+(4', {}, ['syntax']],
+	[114514, '114514!', {}, ['evaluation']],
+]) {
+	const report = verify(base, expression, options)
+	const actual = report.violations.map(violation => violation.type)
+	if (report.valid !== !types.length || String(actual) !== String(types))
+		throw new Error(`验证 ${expression} 的结果不符：${JSON.stringify(report.violations)}`)
+}
+// 计算过程：后序排列，相同的子表达式只计算一次
+{
+	const { value, steps } = parseExpression('(1-4)*(1-4)+5!').getCalculationSteps()
+	if (!value.equals(129) || steps.length !== 4 || !steps.at(-1).value.equals(129) || String(steps[1].operand_steps) !== '0,0')
+		throw new Error(`计算过程有误：\n${formatCalculationSteps(steps)}`)
+	const ast = await dict.proveAst(1919810)
+	const proof_steps = dict.getCalculationSteps(ast)
+	if (!proof_steps.at(-1).value.equals(1919810) || proof_steps.at(-1).expression !== String(ast))
+		throw new Error(`证明的计算过程有误：\n${formatCalculationSteps(proof_steps)}`)
+	console.log(formatCalculationSteps(proof_steps))
+}
+// 多格式输出：JS 的输出可直接求值，其余格式检查典型写法
+{
+	for (const expression of ['(1-4)*(1-4)+5', '11^4/(5-1)', '(1-4)^(1+1)%5-11', '-(11-4)%5', '(11*4-5)/(1+4)', '((1-4)%5)^2'].map(parseExpression)) {
+		const value = expression.calculate()
+		const result = eval(expression.toString({ format: 'js' }))
+		if (typeof result === 'bigint' ? result !== BigInt(value.toString()) : !bigfloat(result).equals(value))
+			throw new Error(`${expression} 的 JS 输出 ${expression.toString({ format: 'js' })} 的值为 ${result}`)
+	}
+	const fraction = parseExpression('(1+1)/(4-1)')
+	if (!fraction.toString({ format: 'latex' }).includes('\\frac{1+1}{4-1}') || !renderExpression(fraction, 'mathml').includes('<mfrac>'))
+		throw new Error(`分数的输出有误：${fraction.toString({ format: 'latex' })}`)
+	if (parseExpression('(1-4)%5').toString({ format: 'python' }) !== '-(-(1 - 4) % 5)')
+		throw new Error('Python 的取余应与 JS 一样保留被除数的符号')
+	// 被除数为负的取余作为幂的底数时需整体加括号
+	for (const [format, expected] of [
+		['python', '(-(-(1 - 4) % 5)) ** 2'],
+		['wolfram', '(-(Mod[-(1 - 4), 5]))^2'],
+		['js', '((1n - 4n) % 5n) ** 2n'],
+		['latex', '\\left(\\left(1-4\\right) \\bmod 5\\right)^{2}'],
+	]) {
+		const actual = parseExpression('((1-4)%5)^2').toString({ format })
+		if (actual !== expected) throw new Error(`${format} 格式下负数取余的幂输出为 ${actual}`)
+	}
+	if (parseExpression('√(1/4)+√4').toString({ format: 'python' }) !== '(lambda q: Fraction(math.isqrt(q.numerator), math.isqrt(q.denominator)))(Fraction(1) / 4) + math.isqrt(4)')
+		throw new Error('Python 中分数的平方根应对分子与分母分别开方')
+	for (const [expression, format] of [['5!', 'js'], ['1+4', 'html']]) {
+		let error
+		try { parseExpression(expression).toString({ format }) } catch (e) { error = e }
+		if (!error) throw new Error(`${expression} 不应能以 ${format} 格式输出`)
+	}
+}
+// 批量证明：共享字典，先证明容易的目标，单个目标失败不影响其余目标
+{
+	const range_dict = expression_dictionary_t(114514)
+	const results = []
+	for await (const result of range_dict.proveRange(-50, 50)) results.push(result)
+	if (results.length !== 101 || results.some(({ ast, target }) => !verify(114514, String(ast), { target }).valid))
+		throw new Error('proveRange 的结果有误')
+	if (String(results.map(result => result.index).sort((a, b) => a - b)) !== String([...Array(101).keys()]))
+		throw new Error('proveRange 应当证明每个目标恰好一次')
+	const many = []
+	for await (const result of range_dict.proveMany([1919810, 16, 45450721], { maxNodes: 1 })) many.push(result)
+	// 16 已在字典中，应当最先完成
+	if (many[0].index !== 1 || !many[0].ast || !(many[1].error instanceof abort_error_t) || !(many[0].time >= 0))
+		throw new Error(`proveMany 的结果有误：${many.map(result => result.error?.message ?? String(result.ast))}`)
+	const in_order = []
+	const only_mul = expression_dictionary_t(2, { operators: ['*'] })
+	for await (const result of only_mul.proveMany([4, 3, 8], { order: 'input' })) in_order.push(result)
+	if (String(in_order.map(result => result.index)) !== '0,1,2' || !(in_order[1].error instanceof Error) || !in_order[2].ast)
+		throw new Error('无法证明的目标应当只记录错误')
+	const controller = new AbortController()
+	controller.abort()
+	let error
+	try {
+		for await (const _ of range_dict.proveMany([1, 2], { signal: controller.signal, order: 'input' }));
+	} catch (e) { error = e }
+	if (!(error instanceof abort_error_t)) throw new Error('取消后 proveMany 应当抛出 abort_error_t')
+}
+// 有理数目标：字典含有小分数，证明经独立验证，无法精确表示的输入给出明确的错误
+{
+	for (const target of ['3.75', '1/7', '0.125', '-2.5', '355/113', '0.1[6]']) {
+		const proof = await dict.prove(target)
+		if (!verify(114514, proof, { target }).valid)
+			throw new Error(`证明 ${target} 失败：${proof}`)
+		console.log(`${target} = ${proof}`)
+	}
+	if (![...dict.data.keys()].includes('1/3')) throw new Error('字典中应含有小分数')
+	for (const [value, expected] of [[1 / 6, null], ['1/6', '1/6'], ['0.1[6]', '1/6'], [-0.5, '-0.5'], ['6/4', '1.5'], ['1.5e-3', '0.0015'], [2n, '2']]) {
+		let actual
+		try { actual = formatRational(parseRational(value)) } catch { actual = null }
+		if (actual !== expected) throw new Error(`${value} 应解析为 ${expected}，实际为 ${actual}`)
+	}
+	for (const value of ['0.333...', 'abc', '1/0', Math.PI]) {
+		let error
+		try { parseRational(value) } catch (e) { error = e }
+		if (!error) throw new Error(`${value} 不应能被精确表示`)
+	}
+	if (!parseExpression('1000-0.5', { decimals: true }).calculate().equals(parseRational('999.5')))
+		throw new Error('解析小数的结果有误')
+	for (const [expression, options] of [['0.5', {}], ['0.333...', { decimals: true }]]) {
+		let error
+		try { parseExpression(expression, options) } catch (e) { error = e }
+		if (!(error instanceof parse_error_t)) throw new Error(`解析 ${expression} 时应当报错`)
+	}
+	const loaded = expression_dictionary_t.load(JSON.stringify(dict.save()))
+	if (!loaded.getAst('3.75')?.calculate().equals(parseRational('15/4')))
+		throw new Error('快照应当保存分数字典项')
+}
+// 化简：恒等式与常量折叠只产生基数允许的字面量，交换律的操作数按规范顺序排列
+{
+	for (const [expression, options, expected] of [
+		['(1-1)*4*5-1', { base: 114514 }, '-1'],
+		['(1-1)*4*5-1', { base: 114514, mode: 'ordered' }, '(1-1)*4*5-1'],
+		['11*4*1+4', { base: 114514 }, '4+4*11'],
+		['4^1*11', { base: 114514, mode: 'unordered' }, '11*4^1'],
+		['(11-4)*5-(11-4)*5', { base: 114514 }, '5*(11-4)-5*(11-4)'],
+		['(11-4)*5-(11-4)*5', { preserveDigits: false }, '0'],
+	]) {
+		const result = String(simplify(parseExpression(expression), options))
+		if (result !== expected) throw new Error(`化简 ${expression} 的结果为 ${result}，而非 ${expected}`)
+	}
+	if (String(simplify(parseExpression('5*(4+11)'))) !== String(simplify(parseExpression('(11+4)*5'))))
+		throw new Error('相等的表达式化简后应当相同')
+	for (const num of [1000, -3, 1919810, '3.75']) {
+		const ast = await dict.proveAst(num, { simplify: true })
+		if (!verify(114514, String(ast), { target: num }).valid) throw new Error(`化简后的证明 ${num} = ${ast} 不成立`)
+	}
+}
+// 节点仓库与度量缓存：相同的子树只存一份，替换共享的节点后祖先的度量随之更新
+{
+	const store = new node_store_t()
+	const one = store.number('1')
+	const four = store.number('4')
+	if (store.operator('+', [one, four]) !== store.operator('+', [one, four]) || store.operator('+', [four, one]) === store.operator('+', [one, four]))
+		throw new Error('节点仓库应当共享且只共享相同的子树')
+	const sum = store.operator('-', [store.number('11'), four])
+	const product = store.operator('*', [sum, store.number('5')])
+	if (product.getMetrics().string_length !== 8 || product.getMetrics().node_count !== 5)
+		throw new Error(`度量有误：${JSON.stringify(product.getMetrics())}`)
+	const unrelated = store.operator('*', [store.operator('+', [one, four]), store.number('5')])
+	const unrelated_metrics = unrelated.getMetrics()
+	const map = new Map([['7', sum]])
+	add(map, '7', parseExpression('3+4'))
+	if (String(product) !== '(3+4)*5' || product.getMetrics().string_length !== String(product).length || !product.calculate().equals(35))
+		throw new Error(`替换共享节点后度量未更新：${product} ${product.getMetrics().string_length}`)
+	// 只有被替换的节点及其祖先重新计算度量，其余节点的缓存仍被命中
+	if (unrelated.getMetrics() !== unrelated_metrics)
+		throw new Error('替换无关的节点后度量缓存不应失效')
+	for (const [key, node] of dict.data)
+		if (node.getMetrics().string_length !== String(node).length)
+			throw new Error(`字典项 ${key} = ${node} 的长度缓存有误`)
+	// 已是子树的节点不被原地替换为一元负号，否则祖先会写出 11+-3 这样解析后改变写法的表达式
+	const negative = new Map([['-3', parseExpression('1-4')]])
+	const parent = new operator_node_t('+', [parseExpression('11'), negative.get('-3')])
+	add(negative, '-3', parseExpression('-3'))
+	if (String(parent) !== '11+(1-4)' || String(negative.get('-3')) !== '-3')
+		throw new Error(`替换为一元负号的结果有误：${parent}，${negative.get('-3')}`)
+}
+// 长基数：分层生成在不设上限时与递归生成一致，设上限时只保留最短的项，缺失的组合在证明时按需查找
+{
+	const recursive = generateRecursive('114514', '114514114514')
+	const tiered = generateTiered('114514')
+	if (recursive.size !== tiered.size || [...recursive].some(([key, node]) => String(tiered.get(key)) !== String(node)))
+		throw new Error('不设上限的分层生成应与递归生成一致')
+
+	const progress = []
+	const long_dict = expression_dictionary_t('2026101912', { max_entries: 30, onBuildProgress: (event) => progress.push(event) })
+	const last = progress.at(-1)
+	if (last.done !== last.total || last.substring !== '2026101912' || progress.some(({ entries }) => entries > 30))
+		throw new Error(`构建进度有误：${JSON.stringify(last)}`)
+	for (const [key, node] of long_dict.tiers.get('2026101912'))
+		if (formatRational(node.calculate()) !== key) throw new Error(`字典项 ${key} = ${node} 的值有误`)
+	// 按需查找：两侧子串字典的项之积
+	const left = [...long_dict.tiers.get('2026')][7][1]
+	const right = [...long_dict.tiers.get('101912')][11][1]
+	const target = left.calculate().mul(right.calculate())
+	if (!findCombination('2026101912', target, long_dict.tiers)?.calculate().equals(target))
+		throw new Error(`未能按需找到 ${formatRational(target)} = ${left}*${right}`)
+	// 快照保存子串字典，载入后按需扩展的能力不变
+	for (const [base, options] of [['114514', { max_entries: 10 }], ['114514', { max_entries: 10, mode: 'ordered' }], [['114', '514'], { max_entries: 5 }]]) {
+		const capped_dict = expression_dictionary_t(base, options)
+		const loaded = expression_dictionary_t.load(JSON.stringify(capped_dict.save()))
+		if (loaded.tiers?.size !== capped_dict.tiers.size) throw new Error(`${base} 的快照没有保存子串字典`)
+		for (let num = 1; num <= 300; num++) {
+			const expanded = capped_dict.expand(num)
+			if (String(loaded.expand(num)) !== String(expanded))
+				throw new Error(`${base} 载入后按需扩展 ${num} 的结果为 ${loaded.expand(num)}，而非 ${expanded}`)
+		}
+	}
+	if (!expression_dictionary_t.load(JSON.stringify(long_dict.save())).expand(target)?.calculate().equals(target))
+		throw new Error(`载入的长基数字典未能按需找到 ${formatRational(target)}`)
+	for (const num of [1000, 20261019, 123456789, -777, '3.5']) {
+		const proof = await long_dict.prove(num, { timeout: 10000 })
+		if (!verify('2026101912', proof, { target: num }).valid) throw new Error(`长基数的证明 ${num} = ${proof} 不成立`)
+	}
+	console.log('长基数字典大小:', long_dict.data.size)
+}
+// 证明策略：可选的策略给出成立的证明，可按名称启用、调整顺序与权重或替换
+{
+	for (const [num, strategies] of [
+		[123456789, ['digit-expansion', ...default_strategies]],
+		[1919810, ['perfect-power', ...default_strategies]],
+		['355/113', ['continued-fraction', ...default_strategies.filter(name => !name.startsWith('fraction-'))]],
+	]) {
+		const proof = await expression_dictionary_t(114514).prove(num, { strategies, deterministic: true })
+		if (!verify(114514, proof, { target: num }).valid) throw new Error(`策略 ${strategies[0]} 的证明 ${num} = ${proof} 不成立`)
+	}
+	const order = resolveStrategies([...default_strategies, { name: 'perfect-power', weight: 2 }, { name: 'add-key', weight: 0 }]).map(strategy => strategy.name)
+	if (order[0] !== 'perfect-power' || order.includes('add-key') || order.length !== default_strategies.length)
+		throw new Error(`策略顺序有误：${order}`)
+	let runs = 0
+	const counted = { name: 'factorize', run: async () => { runs++ } }
+	await expression_dictionary_t(114514).prove(1919810, { strategies: [...default_strategies, counted], deterministic: true })
+	if (!runs) throw new Error('替换的策略没有运行')
+	try {
+		await dict.prove(1919810, { strategies: ['bogus'] })
+		throw new Error('未知的策略应当报错')
+	}
+	catch (e) {
+		if (!e.message.includes('bogus')) throw e
+	}
+}
+// 整数分解：完整的素因数分解，大的半素数与 20 位的目标也能很快证明
+{
+	for (const [n, expected] of [
+		[45450721n, '71*640151'],
+		[12345678901234567890n, '2*3^2*5*101*3541*3607*3803*27961'],
+		[100000000520000000627n, '10000000019*10000000033'],
+		[999998000002999998000001n, '999999000001^2'],
+		[1n, ''],
+	]) {
+		const factors = await factorInteger(n)
+		const result = factors.map(({ prime, exponent }) => exponent > 1n ? `${prime}^${exponent}` : prime).join('*')
+		if (result !== expected) throw new Error(`${n} 的分解结果为 ${result}，而非 ${expected}`)
+	}
+	if (isProbablePrime(561n) || isProbablePrime(3825123056546413051n) || !isProbablePrime(2n ** 89n - 1n))
+		throw new Error('素性测试有误')
+	if (String(balancedFactorPair(await factorInteger(1919810n))) !== '982,1955')
+		throw new Error('未能将因子分成乘积最接近的两组')
+	// 20 位的素数与两个大素数之积：搜索应在超时之前结束，而非超时后返回目前最好的结果
+	for (const num of ['12345678901234567890', '100000000520000000627', String(3n ** 20n * 7n), '99999999999999999989', '12345678901234567891', String(3000000019n * 30000000001n)]) {
+		const start = Date.now()
+		const proof = await expression_dictionary_t(114514).prove(num, { timeout: 20000 })
+		if (!verify(114514, proof, { target: num }).valid) throw new Error(`证明 ${num} = ${proof} 不成立`)
+		if (Date.now() - start >= 20000) throw new Error(`证明 ${num} 没有在超时之前结束`)
+	}
+}
+// 数字游戏：每个来源数字至多使用一次，无解时给出最接近的可达值
+{
+	const countdown = expression_dictionary_t([25, 50, 75, 100, 3, 6], { mode: 'numbers', operators: ['+', '-', '*', '/'], max_denominator: 0 })
+	if (countdown.base !== '25,50,75,100,3,6' || countdown.mode !== 'numbers') throw new Error(`来源数字的字典有误：${countdown.base}`)
+	const proof = await countdown.prove(952)
+	if (!verify(countdown.base, proof, { mode: 'numbers', target: 952 }).valid) throw new Error(`证明 952 = ${proof} 不成立`)
+
+	const dict = expression_dictionary_t([2, 2, 3, 4], { mode: 'numbers' })
+	for (const [key, node] of dict.data)
+		if (!dict.getDigitReport(node).valid || !node.calculate().equals(parseRational(key)))
+			throw new Error(`字典项 ${key} = ${node} 不符合 numbers 模式`)
+	if (!dict.getAst(3) || !dict.getAst(4 * 3 * 2 * 2)) throw new Error('字典应包含只用部分来源数字与用尽全部来源数字的组合')
+	const exact = await dict.proveClosest(7)
+	if (!exact.exact || !exact.distance.equals(0) || !exact.ast.calculate().equals(7)) throw new Error(`proveClosest(7) 的结果有误：${exact.ast}`)
+	const closest = await dict.proveClosest(100000)
+	const nearest = dict.getKeys().filter(key => !key.isInf()).map(key => bigfloat(100000).sub(key).abs()).reduce((a, b) => a.compare(b) <= 0 ? a : b)
+	if (closest.exact || !closest.distance.equals(nearest) || !closest.distance.equals(bigfloat(100000).sub(closest.value).abs()) || !closest.ast.calculate().equals(closest.value))
+		throw new Error(`proveClosest(100000) 的结果有误：${closest.ast}`)
+	if (!verify([2, 2, 3, 4], String(closest.ast), { mode: 'numbers', target: closest.value }).valid)
+		throw new Error(`最接近的值 ${closest.ast} 不符合 numbers 模式`)
+
+	const overused = verify('2,2,3,4', '3*3+5', { mode: 'numbers' }).violations.map(violation => violation.type)
+	if (String(overused) !== 'literal-count,illegal-literal') throw new Error(`numbers 模式的验证有误：${overused}`)
+	if (String(dict.simplify(parseExpression('2*2+4'))) !== '4+2*2' || String(dict.simplify(parseExpression('3*(2-2)+4'))) !== '4')
+		throw new Error('numbers 模式的化简不应多用来源数字')
+	if (expression_dictionary_t.load(JSON.stringify(dict.save()), { base: '2,2,3,4', mode: 'numbers' }).data.size !== dict.data.size)
+		throw new Error('numbers 模式的快照无法恢复')
+	for (const base of [[1, 'x'], [], '1 x'])
+		try {
+			expression_dictionary_t(base, { mode: 'numbers' })
+			throw new Error(`来源数字 ${base} 应当报错`)
+		}
+		catch (e) {
+			if (!e.message.startsWith('来源数字')) throw e
+		}
+}
+// 多个基数：联合字典中的每个数字字面量都标注了来源基数
+{
+	const dict = expression_dictionary_t(['114', '514'])
+	if (dict.base !== '114,514' || String(dict.bases) !== '114,514') throw new Error(`多个基数的字典有误：${dict.base}`)
+	for (const [key, node] of dict.data) {
+		const tagged = JSON.stringify(node).match(/"source":/g)?.length ?? 0
+		if (tagged !== collectLiterals(node).length || !dict.getDigitReport(node).valid || !node.calculate().equals(parseRational(key)))
+			throw new Error(`字典项 ${key} = ${JSON.stringify(node)} 的来源标注有误`)
+	}
+	const ast = await dict.proveAst(1000, { seed: 1 })
+	const copy = ast_node_t.fromJSON(JSON.parse(JSON.stringify(ast)))
+	if (!verify(dict.bases, ast, { target: 1000 }).valid || !verify(dict.bases, String(ast), { target: 1000 }).valid || JSON.stringify(copy) !== JSON.stringify(ast))
+		throw new Error(`多个基数的证明有误：${JSON.stringify(ast)}`)
+	if (!ast.toString({ format: 'latex', sources: true }).includes('\\underset{114}') || ast.toString({ format: 'latex' }).includes('underset'))
+		throw new Error(`标出来源的 LaTeX 有误：${ast.toString({ format: 'latex', sources: true })}`)
+	const violations = (expression) => verify(['114', '514'], ast_node_t.fromJSON(expression)).violations.map(violation => violation.type)
+	if (String(violations({ literal: '5', source: '114' })) !== 'illegal-literal' || String(violations({ literal: '5', source: '999' })) !== 'unknown-source' || String(violations('51')) !== '')
+		throw new Error('多个基数的来源检查有误')
+	const loaded = expression_dictionary_t.load(JSON.stringify(dict.save()), { base: ['114', '514'] })
+	if (loaded.data.size !== dict.data.size || JSON.stringify(loaded.getAst(1000)) !== JSON.stringify(dict.getAst(1000)))
+		throw new Error('多个基数的快照无法恢复')
+	const folded = dict.simplify(parseExpression('4+1'))
+	if (JSON.stringify(folded) !== JSON.stringify({ literal: '5', source: '514' })) throw new Error(`多个基数的化简有误：${JSON.stringify(folded)}`)
+	if (expression_dictionary_t(['114']).data.get('114').source !== undefined) throw new Error('只有一个基数时不应标注来源')
+	try {
+		expression_dictionary_t(['114', '514'], { mode: 'ordered' })
+		throw new Error('多个基数的 ordered 模式应当报错')
+	}
+	catch (e) {
+		if (!e.message.startsWith('多个基数')) throw e
+	}
+}
+// 多个不同的证明：按代价排列，按规范形式去重
+{
+	const dict = expression_dictionary_t(114514)
+	for (const num of [1000, 7, '1/7', -3]) {
+		const proofs = []
+		for await (const proof of dict.proveAll(num, { limit: 4, seed: 1 })) proofs.push(proof)
+		if (proofs.length < 2 || proofs.length > 4) throw new Error(`proveAll(${num}) 只找到 ${proofs.length} 个证明`)
+		const canonical = new Set(proofs.map(({ ast }) => String(simplify(ast, { preserveDigits: false }))))
+		if (canonical.size !== proofs.length) throw new Error(`proveAll(${num}) 产出了代数上相同的证明：${proofs.map(({ ast }) => ast).join(', ')}`)
+		for (const [index, { ast, cost }] of proofs.entries()) {
+			if (!verify(114514, String(ast), { target: num }).valid) throw new Error(`证明 ${num} = ${ast} 不成立`)
+			if (cost !== String(ast).replace(/[()]/g, '').length || index && cost < proofs[index - 1].cost)
+				throw new Error(`proveAll(${num}) 的代价或顺序有误：${proofs.map(({ ast, cost }) => `${cost}:${ast}`).join(', ')}`)
+		}
+	}
+	let all = 0, distinct = 0
+	for await (const _ of dict.proveAll(1000, { limit: Infinity, distinct: false, deterministic: true })) all++
+	for await (const _ of dict.proveAll(1000, { limit: Infinity, deterministic: true })) distinct++
+	if (distinct > all) throw new Error(`去重后的证明数 ${distinct} 多于去重前的 ${all}`)
+	try {
+		for await (const _ of expression_dictionary_t(114514, { mode: 'ordered' }).proveAll(123456789));
+		throw new Error('无法证明时 proveAll 应当报错')
+	}
+	catch (e) {
+		if (!e.message.includes('123456789')) throw e
+	}
+}
+// 其他进制：基数、目标、字面量与输出都按给定的进制书写，换算为十进制仅供显示
+{
+	const dict = expression_dictionary_t('0xbeef', { radix: 16 })
+	if (dict.base !== 'BEEF' || dict.radix !== 16) throw new Error(`16 进制的基数有误：${dict.base}`)
+	const ast = await dict.proveAst('3E8', { seed: 1 })
+	if (!ast.calculate().equals(1000) || !verify('BEEF', String(ast), { radix: 16, target: '3e8' }).valid || verify('BEEF', String(ast), { target: 1000 }).valid)
+		throw new Error(`16 进制的证明有误：${ast}`)
+	const decimal = ast.toString({ decimal: true })
+	if (/[A-F]/.test(decimal) || !parseExpression(decimal).calculate().equals(1000)) throw new Error(`换算为十进制的表达式有误：${decimal}`)
+	const js = ast.toString({ format: 'js' })
+	if (eval(js) !== 1000n || !js.includes('0x')) throw new Error(`16 进制的 JS 输出有误：${js}`)
+	const violations = (json) => verify('BEEF', ast_node_t.fromJSON(json), { radix: 16 }).violations.map(violation => violation.type)
+	if (!violations('14').includes('illegal-radix') || String(violations({ literal: 'EF', radix: 16 })) !== '')
+		throw new Error('进制不符的字面量应当报错')
+	const loaded = expression_dictionary_t.load(JSON.stringify(dict.save()), { base: 'BEEF', radix: 16 })
+	if (loaded.radix !== 16 || String(loaded.getAst('3E8')) !== String(dict.getAst('3E8')))
+		throw new Error('16 进制的快照无法恢复')
+	try {
+		readSnapshot(dict.save(), { radix: 10 })
+		throw new Error('进制不符的快照应当报错')
+	}
+	catch (e) {
+		if (!e.message.includes('进制')) throw e
+	}
+	if (formatRational(parseRational('-3E8', 16), 16) !== '-3E8' || formatRational(parseRational('0.8', 16), 16) !== '1/2' || !parseRational('0.[5]', 16).equals(bigfloat(1).div(3)))
+		throw new Error('16 进制的数字解析有误')
+	if (String(parseExpression('a xor b', { radix: 16 })) !== 'A xor B') throw new Error('16 进制下字母写的运算符解析有误')
+	// 数字拼接按字面量的进制进行：16 进制下 1||A 为 0x1A
+	if (!parseExpression('1||A', { radix: 16 }).calculate().equals(0x1A)) throw new Error('16 进制下的数字拼接有误')
+	const concat_dict = expression_dictionary_t('1A', { radix: 16, operators: ['+', '-', '*', '/', '||'] })
+	if (String(concat_dict.getAst('1A1A')) !== '1A||1A' || concat_dict.data.has('2626'))
+		throw new Error(`16 进制字典中拼接的键有误：${concat_dict.getAst('1A1A')}`)
+	const concat_proof = await concat_dict.proveAst('1A1', { seed: 1 })
+	if (!verify('1A', String(concat_proof), { radix: 16, target: '1A1' }).valid || eval(concat_proof.toString({ format: 'js' })) !== 0x1A1n)
+		throw new Error(`16 进制下含拼接的证明有误：${concat_proof}`)
+	if (!verify('1A', '1A||1A', { radix: 16, target: '1A1A' }).valid || verify('1A', '1A||1A', { radix: 16, target: bigfloat(2626) }).valid)
+		throw new Error('16 进制下拼接的验证有误')
+	const binary = expression_dictionary_t('101101', { radix: 2 })
+	for (const target of ['1010', '-111', '1/11']) {
+		const proof = await binary.prove(target, { seed: 1 })
+		if (!verify('101101', proof, { radix: 2, target }).valid) throw new Error(`2 进制的证明 ${target} = ${proof} 有误`)
+	}
+	for (const [base, radix] of [['0x12', 37], ['12', 1.5], ['12G', 16]])
+		try {
+			expression_dictionary_t(base, { radix })
+			throw new Error(`进制 ${radix} 下的基数 ${base} 应当报错`)
+		}
+		catch (e) {
+			if (!e.message.includes('进制')) throw e
+		}
+}
+// 结构约束：搜索中排除不满足约束的候选，无法证明时指出是哪个约束
+{
+	const dict = expression_dictionary_t(114514)
+	const nestingOf = (node) => node instanceof number_node_t ? 0 : 1 + Math.max(...node.children.map(nestingOf))
+	const valuesOf = (node) => node instanceof number_node_t ? [node.calculate()] : [node.calculate(), ...node.children.flatMap(valuesOf)]
+	const cases = [
+		[1000, { required_operators: ['^', '%'] }, (ast) => /\^/.test(String(ast)) && /%/.test(String(ast))],
+		[1000, { copies: 2 }, (ast) => Math.abs(getCost(ast, 'copies', dict) - 2) < 1e-9],
+		[1000, { max_nesting: 5 }, (ast) => nestingOf(ast) <= 5],
+		[1919810, { non_negative: true, integer_only: true }, (ast) => valuesOf(ast).every(value => !value.sign && value.floor().equals(value))],
+		[1919810, { max_magnitude: 1919810 }, (ast) => valuesOf(ast).every(value => !value.abs().greaterThan(1919810))],
+	]
+	for (const [num, constraints, satisfies] of cases) {
+		const ast = await dict.proveAst(num, { constraints, seed: 1, simplify: true })
+		if (!verify(114514, String(ast), { target: num }).valid || !satisfies(ast))
+			throw new Error(`约束 ${JSON.stringify(constraints)} 下的证明 ${num} = ${ast} 有误`)
+	}
+	for (const [num, constraints, constraint] of [[-3, { non_negative: true }, 'non_negative'], ['1/7', { integer_only: true }, 'integer_only'], [7, { max_nesting: 1 }, 'max_nesting'], [1000, { required_operators: ['!'] }, 'required_operators']])
+		try {
+			await dict.proveAst(num, { constraints })
+			throw new Error(`约束 ${JSON.stringify(constraints)} 下证明 ${num} 应当报错`)
+		}
+		catch (e) {
+			if (!(e instanceof constraint_error_t) || e.constraint !== constraint) throw e
+		}
+	for (const constraints of [{ bogus: 1 }, { max_nesting: -1 }, { copies: 0 }])
+		try {
+			await dict.proveAst(1000, { constraints })
+			throw new Error(`约束 ${JSON.stringify(constraints)} 应当报错`)
+		}
+		catch (e) {
+			if (e instanceof constraint_error_t || !e.message.includes(Object.keys(constraints)[0])) throw e
+		}
+	// 满足约束的证明不记入字典
+	if (String(dict.getAst(1000)) === String(await dict.proveAst(1000, { constraints: { copies: 3 }, seed: 1 })))
+		throw new Error('约束下的证明不应记入字典')
+}
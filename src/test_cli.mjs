@@ -0,0 +1,158 @@
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { spawnSync } from 'node:child_process'
+import { fileURLToPath } from 'node:url'
+import { ast_node_t, verify, readSnapshot } from './index.mjs'
+
+const cli_path = fileURLToPath(new URL('./cli.mjs', import.meta.url))
+const cache_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'number-alchemist-'))
+
+/**
+ * 运行 CLI 并检查退出码。
+ * @param {string[]} args 命令行参数。
+ * @param {object} [options] 选项。
+ * @param {number} [options.status=0] 期望的退出码。
+ * @param {string} [options.input] 标准输入。
+ * @returns {{ stdout: string, stderr: string }} 输出。
+ */
+function run(args, { status = 0, input } = {}) {
+	const result = spawnSync(process.execPath, [cli_path, ...args], { input, encoding: 'utf8', timeout: 120000 })
+	if (result.status !== status)
+		throw new Error(`number-alchemist ${args.join(' ')} 的退出码为 ${result.status} 而非 ${status}\n${result.stdout}\n${result.stderr}`)
+	return result
+}
+
+try {
+	// 默认子命令：结果输出到 stdout，可直接交给 verify
+	{
+		const { stdout, stderr } = run(['114514', '1000', '--cache', cache_dir, '--no-progress'])
+		const lines = stdout.trim().split('\n')
+		if (lines.length !== 1 || !verify(114514, lines[0]).valid)
+			throw new Error(`prove 的输出有误：${stdout}`)
+		if (!stderr.includes('building dictionary'))
+			throw new Error(`prove 应在 stderr 输出进度信息：${stderr}`)
+		run(['verify', '114514', lines[0]])
+		console.log(lines[0])
+	}
+	// --quiet 时 stderr 为空，第二次运行从缓存加载
+	{
+		const { stdout, stderr } = run(['prove', '114514', '-3', '--cache', cache_dir, '--quiet'])
+		if (stderr || !verify(114514, stdout.trim(), { target: -3 }).valid)
+			throw new Error(`prove --quiet 的输出有误：${stdout}${stderr}`)
+		if (!run(['prove', '114514', '7', '--cache', cache_dir]).stderr.includes('loading dictionary'))
+			throw new Error('第二次运行应从缓存加载字典')
+	}
+	// --json 输出 AST、值与深度
+	{
+		const { stdout } = run(['prove', '114514', '1000-7', '--cache', cache_dir, '--json', '--steps', '-q'])
+		const result = JSON.parse(stdout)
+		const ast = ast_node_t.fromJSON(result.ast)
+		if (result.value !== '993' || !ast.calculate().equals(993) || String(ast) !== result.expression || !(result.depth > 0) || result.steps.at(-1).value !== '993')
+			throw new Error(`prove --json 的输出有误：${stdout}`)
+	}
+	// batch：参数或标准输入中的每个目标各输出一行
+	{
+		const { stdout } = run(['batch', '114514', '16', '-4', '--cache', cache_dir, '-q'])
+		const lines = stdout.trim().split('\n')
+		if (lines.length !== 2 || !verify(114514, lines[0], { target: 16 }).valid || !verify(114514, lines[1], { target: -4 }).valid)
+			throw new Error(`batch 的输出有误：${stdout}`)
+		const json_lines = run(['batch', '114514', '--cache', cache_dir, '--json', '-q'], { input: '1\n\n2*3\n' }).stdout.trim().split('\n').map(line => JSON.parse(line))
+		if (String(json_lines.map(line => line.value)) !== '1,6')
+			throw new Error(`batch --json 的输出有误：${JSON.stringify(json_lines)}`)
+	}
+	// batch 从文件读取目标并输出 CSV，失败的目标不影响其余目标
+	{
+		const input = path.join(cache_dir, 'targets.txt')
+		const output = path.join(cache_dir, 'proofs.csv')
+		fs.writeFileSync(input, '16\n1,000\n1000-7\n')
+		run(['batch', '114514', '--input', input, '--output', output, '--csv', '--cache', cache_dir, '-q'], { status: 2 })
+		fs.writeFileSync(input, '16\n1000-7\n')
+		run(['batch', '114514', '99999999', '--input', input, '--output', output, '--csv', '--mode', 'ordered', '-q'], { status: 1 })
+		const [header, ...rows] = fs.readFileSync(output, 'utf8').trim().split('\n')
+		if (header !== 'index,target,value,expression,depth,time,error' || rows.length !== 3 || !rows.some(row => row.startsWith('0,99999999,,,,')))
+			throw new Error(`batch --csv 的输出有误：${header}\n${rows.join('\n')}`)
+	}
+	// 小数目标
+	{
+		const { stdout } = run(['114514', '0.125', '--cache', cache_dir, '-q'])
+		if (!stdout.startsWith('0.125 = ') || !verify(114514, stdout.trim()).valid)
+			throw new Error(`prove 0.125 的输出有误：${stdout}`)
+		run(['114514', '0.333...', '-q'], { status: 2 })
+	}
+	// 无法求值或值为无穷大的目标是用法错误，batch 中出现时不开始证明
+	for (const target of ['2^0.5', '(0-1)!', '1/0', '0^(0-1)']) {
+		const { stdout, stderr } = run(['114514', target, '-q'], { status: 2 })
+		if (stdout || !stderr.includes(target) || stderr.includes('    at '))
+			throw new Error(`目标 ${target} 的错误信息有误：${stdout}${stderr}`)
+		if (run(['batch', '114514', '16', target, '-q'], { status: 2 }).stdout)
+			throw new Error(`batch 遇到目标 ${target} 时不应输出证明`)
+		run(['verify', '114514', '12+3', '--target', target], { status: 2 })
+	}
+	// --simplify 输出化简后的证明
+	{
+		const { stdout } = run(['114514', '1000', '--cache', cache_dir, '--simplify', '-q'])
+		if (!verify(114514, stdout.trim()).valid) throw new Error(`--simplify 的输出有误：${stdout}`)
+	}
+	// --strategies 选择证明策略
+	{
+		const { stdout } = run(['114514', '123456789', '--strategies', 'digit-expansion,factorize', '--cache', cache_dir, '-q'])
+		if (!verify(114514, stdout.trim()).valid) throw new Error(`--strategies 的输出有误：${stdout}`)
+	}
+	// 长基数：--max-entries 限制每个子串字典的项数，stderr 显示构建进度
+	{
+		const { stdout, stderr } = run(['2026101912', '1000', '--max-entries', '30', '--timeout', '10000'])
+		if (!verify('2026101912', stdout.trim()).valid || !/building dictionary\.\.\. (\d+)\/\1\r/.test(stderr))
+			throw new Error(`--max-entries 的输出有误：${stdout}${stderr}`)
+	}
+	// numbers 模式：基数为逗号分隔的来源数字，--closest 在无解时给出最接近的可达值
+	{
+		const { stdout } = run(['1,2,3,4', '24', '--mode', 'numbers', '-q'])
+		if (!verify('1,2,3,4', stdout.trim(), { mode: 'numbers' }).valid) throw new Error(`numbers 模式的输出有误：${stdout}`)
+		run(['1,2,3,4', '100', '--mode', 'numbers', '-q'], { status: 1 })
+		const closest = JSON.parse(run(['1,2,3,4', '100', '--mode', 'numbers', '--closest', '--json', '-q']).stdout)
+		if (closest.target !== '100' || closest.distance !== String(Math.abs(100 - closest.value)) || !verify('1,2,3,4', closest.expression, { mode: 'numbers', target: closest.value }).valid)
+			throw new Error(`--closest 的输出有误：${JSON.stringify(closest)}`)
+	}
+	// 以 + 连接的多个基数
+	{
+		const { stdout } = run(['114+514', '1000', '--format', 'latex', '-q'])
+		if (!stdout.includes('\\underset{') || !verify(['114', '514'], run(['114+514', '1000', '-q']).stdout.trim()).valid)
+			throw new Error(`多个基数的输出有误：${stdout}`)
+		run(['verify', '114+514', '1000=(5+1+4)^(11%4)'])
+	}
+	// --radix 以其他进制书写基数与目标，--decimal 换算为十进制输出
+	{
+		const { stdout } = run(['0xBEEF', '3E8', '--radix', '16', '--cache', cache_dir, '-q'])
+		if (!stdout.startsWith('3E8 = ') || !verify('BEEF', stdout.trim(), { radix: 16 }).valid)
+			throw new Error(`--radix 的输出有误：${stdout}`)
+		const decimal = JSON.parse(run(['BEEF', '3E8', '--radix', '16', '--cache', cache_dir, '--decimal', '--json', '-q']).stdout)
+		if (decimal.value !== '1000' || /[A-F]/.test(decimal.expression) || !verify('BEEF', ast_node_t.fromJSON(decimal.ast), { radix: 16, target: '3E8' }).valid)
+			throw new Error(`--decimal 的输出有误：${JSON.stringify(decimal)}`)
+		run(['verify', 'BEEF', '3E8=(B%E+E+F)*(B+E%EF)', '--radix', '16'])
+	}
+	// --format 输出其他格式
+	if (!run(['114514', '1000', '--cache', cache_dir, '--format', 'latex', '-q']).stdout.includes('\\'))
+		throw new Error('--format latex 应输出 LaTeX')
+	// dict stats 与 dict export
+	{
+		const stats = JSON.parse(run(['dict', 'stats', '114514', '--json', '--no-progress']).stdout)
+		if (stats.base !== '114514' || !(stats.entries > 0) || stats.contiguous[0] > 0 || stats.contiguous[1] < 0)
+			throw new Error(`dict stats 的输出有误：${JSON.stringify(stats)}`)
+		const output = path.join(cache_dir, 'export.json')
+		const { stderr } = run(['dict', 'export', '114514', '--mode', 'ordered', '--output', output, '--no-progress'])
+		if (stderr.includes('/')) throw new Error(`dict export --no-progress 不应输出构建进度：${stderr}`)
+		if (readSnapshot(fs.readFileSync(output, 'utf8'), { base: '114514', mode: 'ordered' }).data.size === 0)
+			throw new Error('dict export 导出的快照为空')
+	}
+	// 失败时的退出码
+	run(['verify', '114514', '12+3', '--target', '15'], { status: 1 })
+	run(['prove', '114514', '123456789', '--mode', 'ordered', '-q'], { status: 1 })
+	run(['prove', '114514', '1919810', '--max-nodes', '1', '-q'], { status: 3 })
+	for (const args of [[], ['114514'], ['114514', '1+'], ['114514', '1000', '--bogus'], ['114514', '1000', '--format', 'html'], ['114514', '1000', '--mode', 'any'], ['114514', '1000', '--strategies', 'bogus'], ['1,x', '1', '--mode', 'numbers'], ['114+514', '1000', '--mode', 'ordered'], ['BEEF', '3E8', '--radix', '37'], ['BEEG', '3E8', '--radix', '16'], ['dict', 'list', '114514']])
+		run(args, { status: 2 })
+	console.log('CLI 测试通过')
+}
+finally {
+	fs.rmSync(cache_dir, { recursive: true, force: true })
+}
@@ -0,0 +1,110 @@
+import { bigfloat } from '@steve02081504/bigfloat'
+import { ast_node_t, operator_node_t } from './dict_ast.mjs'
+import { digit_mode_t, checkDigitUsage, parseBases, parseSources } from './digits.mjs'
+import { parse_error_t } from './errors.mjs'
+import { parseExpression } from './parser.mjs'
+import { checkRadix, formatRational, parseRational } from './rational.mjs'
+
+/**
+ * 收集 AST 中用到的运算符，一元负号记作 `-`。
+ * @param {import('./dict_ast.mjs').ast_node_t} node AST 节点。
+ * @param {Set<string>} [result] 收集结果。
+ * @returns {Set<string>} 运算符集合。
+ */
+function collectOperators(node, result = new Set()) {
+	if (node instanceof operator_node_t) {
+		result.add(node.operator === 'u-' ? '-' : node.operator)
+		for (const child of node.children) collectOperators(child, result)
+	}
+	return result
+}
+
+/**
+ * 独立地验证一个证明：重新解析表达式，以有理数精确计算其值，并检查每个数字字面量是否为基数的合法数字组。
+ * 不依赖生成证明的字典，可用于核对他人给出的证明。
+ * @param {string | number | bigint | (string | number | bigint)[]} base 基数，reuse 模式下可以是多个基数的数组；
+ * numbers 模式下为来源数字的数组或以逗号分隔的字符串。
+ * @param {string | ast_node_t} expression 表达式，也可以是 `目标 = 表达式` 的形式（即 CLI 的输出）；
+ * 传入 AST 时不再解析，其中数字字面量标注的来源（见 number_node_t）也一并检查。
+ * @param {object} [options] 选项。
+ * @param {digit_mode_t} [options.mode=digit_mode_t.reuse] 数字使用模式。
+ * @param {bigfloat | number | string} [options.target] 期望的值，可以是 parseRational 接受的任何写法，表达式中带有 `目标 =` 时可省略。
+ * @param {Iterable<string>} [options.operators] 允许使用的运算符，省略时不限制。
+ * @param {number} [options.radix=10] 基数的进制，基数、表达式与字符串形式的目标都以此进制书写。
+ * @returns {{
+ * 	valid: boolean,
+ * 	base: string,
+ * 	mode: digit_mode_t,
+ * 	expression: string,
+ * 	ast?: import('./dict_ast.mjs').ast_node_t,
+ * 	value?: bigfloat,
+ * 	target?: bigfloat,
+ * 	literals: string[],
+ * 	consumed: Record<string, number>,
+ * 	available: Record<string, number>,
+ * 	violations: { type: string, message: string, [key: string]: any }[],
+ * }} 验证报告，`violations` 为空时 `valid` 为真。
+ */
+export function verify(base, expression, { mode = digit_mode_t.reuse, target, operators, radix = 10 } = {}) {
+	radix = checkRadix(radix)
+	const bases = mode === digit_mode_t.numbers ? undefined : parseBases(base, radix)
+	base = bases ? bases.join(',') : parseSources(base, radix).join(',')
+	const ast = expression instanceof ast_node_t ? expression : undefined
+	expression = String(expression)
+	const violations = []
+	const report = { valid: false, base, mode, expression, literals: [], consumed: {}, available: {}, violations }
+
+	// 接受 CLI 输出的 `目标 = 表达式` 形式
+	const equal_index = expression.lastIndexOf('=')
+	if (equal_index !== -1) {
+		const target_str = expression.slice(0, equal_index)
+		expression = report.expression = expression.slice(equal_index + 1).trim()
+		if (target === undefined) try {
+			target = parseExpression(target_str, { decimals: true, radix }).calculate()
+		} catch (e) {
+			if (!(e instanceof parse_error_t)) throw e
+			violations.push({ type: 'syntax', position: e.position, message: `无法解析目标：${e.message}` })
+		}
+	}
+	if (target !== undefined) report.target = parseRational(target, radix)
+
+	if (ast) report.ast = ast
+	else try {
+		report.ast = parseExpression(expression, { radix })
+	} catch (e) {
+		if (!(e instanceof parse_error_t)) throw e
+		violations.push({ type: 'syntax', position: e.position, message: e.message })
+		return report
+	}
+
+	try {
+		report.value = report.ast.calculate()
+		if (report.value.isInf()) throw new RangeError('division by zero')
+	} catch (e) {
+		delete report.value
+		violations.push({ type: 'evaluation', message: `无法计算表达式：${e.message}` })
+	}
+	if (report.value && report.target && !report.value.equals(report.target))
+		violations.push({
+			type: 'value-mismatch',
+			expected: formatRational(report.target),
+			actual: formatRational(report.value),
+			message: `表达式的值为 ${formatRational(report.value)}，而非 ${formatRational(report.target)}`,
+		})
+
+	if (operators !== undefined) {
+		const allowed = new Set(operators)
+		for (const operator of collectOperators(report.ast))
+			if (!allowed.has(operator))
+				violations.push({ type: 'illegal-operator', operator, message: `不允许使用运算符 ${operator}` })
+	}
+
+	const digits = checkDigitUsage(bases ?? base, report.ast, mode, radix)
+	report.literals = digits.literals
+	report.consumed = digits.consumed
+	report.available = digits.available
+	violations.push(...digits.violations)
+
+	report.valid = !violations.length
+	return report
+}
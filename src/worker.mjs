@@ -0,0 +1,93 @@
+/**
+ * 表达式字典的工作线程入口，浏览器中作为 Web Worker、Node 中作为 worker_threads 运行。
+ * 由 createWorkerDictionary 启动，消息格式见 worker_dictionary.mjs。
+ */
+import { expression_dictionary_t } from './dict.mjs'
+
+/** @type {expression_dictionary_t} */
+let dictionary
+/** @type {Map<number, AbortController>} 进行中的调用的取消控制器 */
+const controllers = new Map()
+
+/**
+ * 将错误转为可跨线程传递的对象。
+ * @param {unknown} error 错误。
+ * @returns {{ name: string, message: string, reason?: string, constraint?: string }} 错误描述。
+ */
+function serializeError(error) {
+	return { name: error?.name ?? 'Error', message: error?.message ?? String(error), reason: error?.reason, constraint: error?.constraint }
+}
+
+/**
+ * 处理来自主线程的消息。
+ * @param {object} message 消息。
+ * @param {(message: object) => void} post 向主线程发送消息。
+ */
+async function handleMessage(message, post) {
+	const { type, id } = message
+	switch (type) {
+		case 'init':
+			try {
+				dictionary = expression_dictionary_t(message.base, {
+					...message.options,
+					onBuildProgress: (progress) => post({ type: 'build-progress', progress }),
+				})
+				post({ type: 'ready', base: dictionary.base, bases: dictionary.bases, radix: dictionary.radix, size: dictionary.data.size })
+			}
+			catch (e) {
+				post({ type: 'error', error: serializeError(e) })
+			}
+			break
+		case 'proveAst': {
+			const controller = new AbortController()
+			controllers.set(id, controller)
+			try {
+				const ast = await dictionary.proveAst(message.num, {
+					...message.options,
+					signal: controller.signal,
+					onProgress: (node) => post({ type: 'progress', id, ast: node.toJSON() }),
+				})
+				post({ type: 'result', id, ast: ast.toJSON() })
+			}
+			catch (e) {
+				post({ type: 'error', id, error: serializeError(e) })
+			}
+			finally {
+				controllers.delete(id)
+			}
+			break
+		}
+		case 'proveAll': {
+			const controller = new AbortController()
+			controllers.set(id, controller)
+			try {
+				for await (const { ast, cost } of dictionary.proveAll(message.num, { ...message.options, signal: controller.signal }))
+					post({ type: 'item', id, ast: ast.toJSON(), cost })
+				post({ type: 'result', id })
+			}
+			catch (e) {
+				post({ type: 'error', id, error: serializeError(e) })
+			}
+			finally {
+				controllers.delete(id)
+			}
+			break
+		}
+		case 'getAst':
+			post({ type: 'result', id, ast: dictionary.getAst(message.num)?.toJSON() })
+			break
+		case 'abort':
+			controllers.get(id)?.abort()
+			break
+	}
+}
+
+if (globalThis.WorkerGlobalScope) {
+	const post = (message) => globalThis.postMessage(message)
+	globalThis.addEventListener('message', (event) => handleMessage(event.data, post))
+}
+else {
+	const { parentPort } = await import('node:worker_threads')
+	const post = (message) => parentPort.postMessage(message)
+	parentPort.on('message', (message) => handleMessage(message, post))
+}
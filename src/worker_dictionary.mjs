@@ -0,0 +1,238 @@
+import { ast_node_t } from './dict_ast.mjs'
+import { abort_error_t, constraint_error_t } from './errors.mjs'
+import { formatRational, parseRational } from './rational.mjs'
+
+/**
+ * 启动运行 worker.mjs 的工作线程，并统一浏览器与 Node 的消息接口。
+ * @param {string | URL} url 工作线程入口的地址。
+ * @returns {Promise<{ post: (message: object) => void, listen: (handler: (message: object) => void) => void, terminate: () => void }>} 工作线程句柄。
+ */
+async function spawnWorker(url) {
+	if (globalThis.Worker && globalThis.document) {
+		url = new URL(url, globalThis.location?.href)
+		// 跨域的脚本不能直接作为 Worker 启动，经由同源的 blob 模块导入
+		if (url.origin !== globalThis.location?.origin)
+			url = URL.createObjectURL(new Blob([`import ${JSON.stringify(String(url))}`], { type: 'text/javascript' }))
+		const worker = new Worker(url, { type: 'module' })
+		return {
+			post: (message) => worker.postMessage(message),
+			listen: (handler) => {
+				worker.addEventListener('message', (event) => handler(event.data))
+				worker.addEventListener('error', (event) => handler({ type: 'error', error: { message: event.message ?? '工作线程出错' } }))
+			},
+			terminate: () => worker.terminate(),
+		}
+	}
+	const { Worker } = await import('node:worker_threads')
+	const worker = new Worker(new URL(url))
+	return {
+		post: (message) => worker.postMessage(message),
+		listen: (handler) => {
+			worker.on('message', handler)
+			worker.on('error', (error) => handler({ type: 'error', error: { name: error.name, message: error.message } }))
+		},
+		terminate: () => worker.terminate(),
+	}
+}
+
+/**
+ * 将工作线程传回的错误描述还原为错误对象。
+ * @param {{ name?: string, message: string, reason?: string, constraint?: string }} error 错误描述。
+ * @returns {Error} 错误对象。
+ */
+function deserializeError({ name, message, reason, constraint }) {
+	if (name === 'abort_error_t') return new abort_error_t(message, reason)
+	if (name === 'constraint_error_t') return new constraint_error_t(message, constraint)
+	const result = new Error(message)
+	if (name) result.name = name
+	return result
+}
+
+/**
+ * 在工作线程中运行的表达式字典，接口与 expression_dictionary_t 相同但全部为异步。
+ * 通过 createWorkerDictionary 创建。
+ * @class
+ */
+export class worker_dictionary_t {
+	/**
+	 * 下一次调用的编号。
+	 * @type {number}
+	 */
+	next_id = 0
+	/**
+	 * 进行中的调用。
+	 * @type {Map<number, { resolve: (value: any) => void, reject: (error: Error) => void, onProgress?: (node: ast_node_t) => void, onItem?: (item: { ast: ast_node_t, cost: number }) => void }>}
+	 */
+	pending = new Map()
+
+	/**
+	 * @param {Awaited<ReturnType<typeof spawnWorker>>} worker 工作线程句柄。
+	 * @param {{ base: string, bases: string[], radix: number, size: number }} info 工作线程中字典的信息。
+	 */
+	constructor(worker, { base, bases, radix, size }) {
+		this.worker = worker
+		/**
+		 * 基数字符串。
+		 * @type {string}
+		 */
+		this.base = base
+		/**
+		 * 各基数，见 expression_dictionary_t。
+		 * @type {string[]}
+		 */
+		this.bases = bases
+		/**
+		 * 基数与目标数字的进制，见 expression_dictionary_t。
+		 * @type {number}
+		 */
+		this.radix = radix
+		/**
+		 * 字典构建完成时的项数。
+		 * @type {number}
+		 */
+		this.size = size
+	}
+
+	/**
+	 * 处理工作线程发回的消息。
+	 * @param {object} message 消息。
+	 */
+	handleMessage({ type, id, ast, cost, error }) {
+		if (type === 'error' && id === undefined) {
+			// 工作线程本身出错，所有进行中的调用都无法完成
+			for (const call of this.pending.values()) call.reject(deserializeError(error))
+			this.pending.clear()
+			return
+		}
+		const call = this.pending.get(id)
+		if (!call) return
+		switch (type) {
+			case 'progress':
+				call.onProgress?.(ast_node_t.fromJSON(ast))
+				break
+			case 'item':
+				call.onItem?.({ ast: ast_node_t.fromJSON(ast), cost })
+				break
+			case 'result':
+				this.pending.delete(id)
+				call.resolve(ast === undefined ? undefined : ast_node_t.fromJSON(ast))
+				break
+			case 'error':
+				this.pending.delete(id)
+				call.reject(deserializeError(error))
+				break
+		}
+	}
+
+	/**
+	 * 向工作线程发起一次调用。
+	 * @param {object} message 消息。
+	 * @param {object} [options] 选项。
+	 * @param {(node: ast_node_t) => void} [options.onProgress] 进度回调。
+	 * @param {(item: { ast: ast_node_t, cost: number }) => void} [options.onItem] 收到 proveAll 的一个证明时调用。
+	 * @param {AbortSignal} [options.signal] 取消信号。
+	 * @returns {Promise<ast_node_t | undefined>} 调用结果。
+	 */
+	call(message, { onProgress, onItem, signal } = {}) {
+		if (signal?.aborted) return Promise.reject(new abort_error_t('搜索已取消', 'abort'))
+		const id = this.next_id++
+		return new Promise((resolve, reject) => {
+			this.pending.set(id, { resolve, reject, onProgress, onItem })
+			signal?.addEventListener('abort', () => this.worker.post({ type: 'abort', id }), { once: true })
+			this.worker.post({ ...message, id })
+		})
+	}
+
+	/**
+	 * 在工作线程中证明给定数字，选项同 expression_dictionary_t 的 proveAst。
+	 * 除 `onProgress` 与 `signal` 外的选项须可被结构化克隆。
+	 * @param {bigfloat | number | string} num 要证明的数字。
+	 * @param {object} [options] 选项。
+	 * @returns {Promise<ast_node_t>} 证明数字存在的 AST 节点。
+	 * @throws {Error} 如果无法证明数字的存在。
+	 * @throws {abort_error_t} 如果搜索被取消，或预算耗尽时尚未找到任何结果。
+	 */
+	proveAst(num, { onProgress, signal, ...options } = {}) {
+		return this.call({ type: 'proveAst', num: formatRational(parseRational(num, this.radix), this.radix), options }, { onProgress, signal })
+	}
+
+	/**
+	 * 在工作线程中证明给定数字并返回表达式字符串，选项同 proveAst。
+	 * @param {bigfloat | number | string} num 要证明的数字。
+	 * @param {object} [options] 选项。
+	 * @returns {Promise<string>} 证明数字存在的表达式。
+	 */
+	async prove(num, options = {}) {
+		return this.proveAst(num, options).then((node) => node.toString())
+	}
+
+	/**
+	 * 在工作线程中寻找目标的多个不同证明，选项同 expression_dictionary_t 的 proveAll。
+	 * 除 `signal` 外的选项须可被结构化克隆，自定义的代价模型须以名称给出。
+	 * @param {bigfloat | number | string} num 要证明的数字。
+	 * @param {object} [options] 选项。
+	 * @returns {AsyncGenerator<{ ast: ast_node_t, cost: number }>} 按代价从低到高产出的证明。
+	 * @throws {Error} 如果无法证明数字的存在。
+	 * @throws {abort_error_t} 如果搜索被取消，或预算耗尽时尚未找到任何证明。
+	 */
+	async *proveAll(num, { signal, ...options } = {}) {
+		// proveAll 在工作线程中排序完毕才开始产出，这里等全部证明到齐
+		const items = []
+		await this.call({ type: 'proveAll', num: formatRational(parseRational(num, this.radix), this.radix), options }, { onItem: (item) => items.push(item), signal })
+		yield* items
+	}
+
+	/**
+	 * 获取工作线程中字典里特定数字的 AST 节点。
+	 * @param {bigfloat | number | string} num 要获取的数字。
+	 * @returns {Promise<ast_node_t | undefined>} 对应的 AST 节点。
+	 */
+	getAst(num) {
+		return this.call({ type: 'getAst', num: formatRational(parseRational(num, this.radix), this.radix) })
+	}
+
+	/**
+	 * 终止工作线程，进行中的调用以 abort_error_t 失败。
+	 */
+	terminate() {
+		this.worker.terminate()
+		for (const call of this.pending.values()) call.reject(new abort_error_t('工作线程已终止', 'abort'))
+		this.pending.clear()
+	}
+}
+
+/**
+ * 在工作线程中构建表达式字典，浏览器中使用 Web Worker，Node 中使用 worker_threads。
+ * @param {string | number | bigint | (string | number | bigint)[]} base 基数，数组表示多个基数，numbers 模式下表示来源数字。
+ * @param {object} [options] 选项，除 `workerUrl` 外同 expression_dictionary_t 的构造选项。
+ * @param {string | URL} [options.workerUrl] 工作线程入口 worker.mjs 的地址，默认为与本模块同目录的 worker.mjs。
+ * 经由 CDN 打包加载时需显式指定，例如 `https://esm.sh/@steve02081504/number-alchemist/worker`。
+ * @param {(progress: import('./dict_generator.mjs').build_progress_t) => void} [options.onBuildProgress] 工作线程每生成一个子串的字典调用一次。
+ * @returns {Promise<worker_dictionary_t>} 字典构建完成后兑现。
+ * @throws {Error} 如果字典构建失败。
+ */
+export async function createWorkerDictionary(base, { workerUrl = new URL('./worker.mjs', import.meta.url), onBuildProgress, ...options } = {}) {
+	const worker = await spawnWorker(workerUrl)
+	let dictionary
+	const info = await new Promise((resolve, reject) => {
+		worker.listen((message) => {
+			if (dictionary) return dictionary.handleMessage(message)
+			if (message.type === 'build-progress') onBuildProgress?.(message.progress)
+			else if (message.type === 'ready') resolve(message)
+			else if (message.type === 'error') reject(deserializeError(message.error))
+		})
+		worker.post({
+			type: 'init',
+			base: Array.isArray(base) ? base.map(String) : String(base),
+			options: {
+				...options,
+				operators: options.operators && [...options.operators],
+				max_value: options.max_value && String(options.max_value),
+			},
+		})
+	}).catch((error) => {
+		worker.terminate()
+		throw error
+	})
+	return dictionary = new worker_dictionary_t(worker, info)
+}